@@ -0,0 +1,140 @@
+// 对比两种依赖追踪方式的性能：每次执行前 cleanup 全部依赖，与差异追踪（只移除不再需要的依赖）
+// 运行：node 依赖追踪基准测试.js [轮数]
+// 每个场景中副作用函数重新执行时读取的依赖基本不变，这正是差异追踪最擅长的情况
+// 单次测量很容易受到 JIT 和垃圾回收的影响，所以先整体预热，再交替两种方式的先后顺序测量多轮，报告每种方式的中位数
+// 重新执行的时间大部分花在代理对象的拦截函数和副作用函数本身上，追踪方式只影响其中一部分，具体的提升以实际运行的结果为准
+
+const { performance } = require('perf_hooks')
+const { effect, stop, getProxyObj, setDiffTracking } = require('./对象响应系统的模拟')
+
+// 深层对象：副作用函数沿着一条很深的路径读取，并读取末端对象的所有属性，每次只修改其中一个属性
+function deepObject() {
+    const depth = 50
+    const width = 50
+    const root = {}
+    let node = root
+    for (let i = 0; i < depth; i++) {
+        node = node.child = {}
+    }
+    for (let i = 0; i < width; i++) node[`k${i}`] = i
+    const state = getProxyObj(root)
+    const runner = effect(() => {
+        let node = state
+        for (let i = 0; i < depth; i++) node = node.child
+        let sum = 0
+        for (let i = 0; i < width; i++) sum += node[`k${i}`]
+        return sum
+    })
+    let leaf = state
+    for (let i = 0; i < depth; i++) leaf = leaf.child
+    return {
+        update: i => {
+            leaf.k0 = i
+        },
+        dispose: () => stop(runner),
+    }
+}
+
+// 宽数组：副作用函数通过索引读取数组的每一个元素，每次只修改一个元素
+function wideArray() {
+    const list = getProxyObj(Array.from({ length: 5000 }, (_, i) => i))
+    const runner = effect(() => {
+        let sum = 0
+        for (let i = 0; i < list.length; i++) sum += list[i]
+        return sum
+    })
+    return {
+        update: i => {
+            list[i % list.length] = -i
+        },
+        dispose: () => stop(runner),
+    }
+}
+
+// 嵌套的副作用函数：外层副作用函数读取一个开关，内层的多个副作用函数各自读取许多属性，每次修改所有内层都依赖的属性
+function nestedEffects() {
+    const state = getProxyObj(Object.fromEntries(Array.from({ length: 200 }, (_, i) => [`p${i}`, i])))
+    const runners = []
+    const outer = effect(() => {
+        state.p0
+        // 外层重新执行时先停止上一次创建的内层副作用函数，否则它们会一直留在依赖集合中
+        runners.splice(0).forEach(stop)
+        for (let i = 0; i < 20; i++) {
+            runners.push(effect(() => {
+                let sum = 0
+                for (const key in state) sum += state[key]
+                return sum
+            }))
+        }
+    })
+    return {
+        update: i => {
+            state.p1 = i
+            // 每 10 次修改一次外层读取的开关，重新创建内层副作用函数
+            if (i % 10 === 0) state.p0 = i
+        },
+        dispose: () => {
+            stop(outer)
+            runners.forEach(stop)
+        },
+    }
+}
+
+const scenarios = [
+    { name: '深层对象', setup: deepObject, iterations: 5000 },
+    { name: '宽数组', setup: wideArray, iterations: 300 },
+    { name: '嵌套副作用函数', setup: nestedEffects, iterations: 100 },
+]
+
+const rounds = Number(process.argv[2]) || 7
+
+// 运行一个场景，返回每次更新的平均毫秒数
+function measure({ setup, iterations }, diff) {
+    setDiffTracking(diff)
+    const { update, dispose } = setup()
+    // 预热这一次创建的副作用函数
+    for (let i = 0; i < Math.ceil(iterations / 10); i++) update(i)
+    const start = performance.now()
+    for (let i = 0; i < iterations; i++) update(i)
+    const time = performance.now() - start
+    dispose()
+    return time / iterations
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = sorted.length >> 1
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// 所有场景的两种方式都先完整运行一次，结果丢弃，让 JIT 对两种方式的代码路径都完成优化
+scenarios.forEach(scenario => {
+    measure(scenario, false)
+    measure(scenario, true)
+})
+
+const results = scenarios.map(scenario => {
+    const cleanupTimes = []
+    const diffTimes = []
+    for (let round = 0; round < rounds; round++) {
+        // 交替先后顺序，避免总是同一种方式先运行
+        if (round % 2) {
+            diffTimes.push(measure(scenario, true))
+            cleanupTimes.push(measure(scenario, false))
+        } else {
+            cleanupTimes.push(measure(scenario, false))
+            diffTimes.push(measure(scenario, true))
+        }
+    }
+    const cleanupTime = median(cleanupTimes)
+    const diffTime = median(diffTimes)
+    return {
+        场景: scenario.name,
+        'cleanup (ms/次)': cleanupTime.toFixed(4),
+        '差异追踪 (ms/次)': diffTime.toFixed(4),
+        '差异追踪/cleanup': `${(cleanupTime / diffTime).toFixed(2)}x`,
+    }
+})
+setDiffTracking(true)
+console.log(`${rounds} 轮的中位数：`)
+console.table(results)
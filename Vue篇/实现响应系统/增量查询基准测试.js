@@ -0,0 +1,164 @@
+// 对比增量查询与计算属性中完整地重新计算：在 50000 行数据上执行 where、orderBy、groupBy、indexBy，每次只修改一行
+// 运行：node 增量查询基准测试.js [随机测试次数] [种子]
+// 先用随机的修改（包括 splice、sort、reverse、空位、截断等）检查增量查询的结果与完整重新计算的结果一致，再测量性能
+
+const { performance } = require('perf_hooks')
+const { effect, stop, getProxyObj, toRaw } = require('./对象响应系统的模拟')
+const { computed } = require('./实现计算属性')
+const { compareValues, query } = require('./实现增量查询')
+const { createRandom } = require('./实现伪随机数')
+
+const iterations = Number(process.argv[2]) || 2000
+const { seed, random, randomInt } = createRandom(process.argv[3])
+
+let nextId = 0
+const createRow = () => ({ id: nextId++, category: `c${randomInt(20)}`, price: randomInt(1000), active: random() < 0.7 })
+
+// 数组中可能有空位，以及 splice、sort 等方法留下的 undefined
+const where = row => row != null && row.active
+const byPrice = row => row.price
+
+// 完整重新计算：与查询相同的语义，稳定排序保证价格相同时保持数组中的顺序
+function recompute(list) {
+    const rows = list.filter(where).sort((a, b) => compareValues(byPrice(a), byPrice(b)))
+    const groups = new Map()
+    const index = new Map()
+    rows.forEach(row => {
+        if (!groups.has(row.category)) groups.set(row.category, [])
+        groups.get(row.category).push(row)
+        index.set(row.id, row)
+    })
+    return { rows, groups, index }
+}
+
+function createQuery(list) {
+    return query(list).where(where).orderBy('price').groupBy('category').indexBy('id')
+}
+
+// 比较增量查询与完整重新计算的结果，返回错误信息
+function check(q, list) {
+    const expected = recompute(toRaw(list))
+    const sameRows = (a, b) => a.length === b.length && a.every((row, i) => toRaw(row) === b[i])
+    if (!sameRows(q.rows, expected.rows)) return 'rows 不一致'
+    if (q.groups.size !== expected.groups.size) return 'groups 的数量不一致'
+    for (const [key, rows] of expected.groups) {
+        if (!q.groups.has(key) || !sameRows(q.groups.get(key), rows)) return `分组 ${key} 不一致`
+    }
+    if (q.index.size !== expected.index.size) return 'index 的数量不一致'
+    for (const [key, row] of expected.index) {
+        if (toRaw(q.index.get(key)) !== row) return `索引 ${key} 不一致`
+    }
+    return null
+}
+
+// 随机取一行，没有取到时返回一个不在数组中的对象
+const pickRow = list => list[randomInt(list.length)] || {}
+
+// 随机修改，包括需要整体重建的大规模修改
+const actions = [
+    list => { pickRow(list).price = randomInt(1000) },
+    list => { pickRow(list).active = random() < 0.5 },
+    list => { pickRow(list).category = `c${randomInt(20)}` },
+    list => { list.push(createRow()) },
+    list => { list.splice(randomInt(list.length), 1) },
+    list => { list.splice(randomInt(list.length), 0, createRow(), createRow()) },
+    list => { list[randomInt(list.length)] = createRow() },
+    // 同一个对象出现在两个位置
+    list => { list[randomInt(list.length)] = list[randomInt(list.length)] },
+    list => { delete list[randomInt(list.length)] },
+    list => { list.length = Math.max(0, list.length - randomInt(5)) },
+    list => { list[list.length + randomInt(3)] = createRow() },
+    list => { if (random() < 0.1) list.reverse() },
+    list => { if (random() < 0.1) list.sort((a, b) => (a ? a.id : 0) - (b ? b.id : 0)) },
+    list => { list.unshift(createRow()) },
+]
+
+function randomCheck() {
+    const list = getProxyObj(Array.from({ length: 200 }, createRow))
+    const q = createQuery(list)
+    // 一部分修改之后立即读取，一部分积累多次修改之后再读取
+    let runner = null
+    const lazy = random() < 0.5
+    if (!lazy) runner = effect(() => q.rows)
+    for (let i = 0; i < 40; i++) {
+        actions[randomInt(actions.length)](list)
+        if (!lazy || random() < 0.3) {
+            const message = check(q, list)
+            if (message) return message
+        }
+    }
+    const message = check(q, list)
+    if (runner) stop(runner)
+    q.stop()
+    return message
+}
+
+let failures = 0
+for (let i = 0; i < iterations; i++) {
+    let message
+    try {
+        message = randomCheck()
+    } catch (err) {
+        message = err.stack
+    }
+    if (message) {
+        failures++
+        console.log(`第 ${i + 1} 个用例失败：${message}`)
+        if (failures >= 5) break
+    }
+}
+console.log(failures ? `失败，种子 ${seed}` : `${iterations} 个随机用例全部通过，种子 ${seed}`)
+process.exitCode = failures ? 1 : 0
+
+// 性能：副作用函数读取结果（行数和分组数），每次修改一行
+const size = 50000
+
+function naive(list) {
+    const result = computed(() => recompute(list))
+    return effect(() => {
+        const { rows, groups } = result.value
+        return rows.length + groups.size
+    })
+}
+
+function incremental(list) {
+    const q = createQuery(list)
+    const runner = effect(() => q.rows.length + q.groups.size)
+    runner.q = q
+    return runner
+}
+
+const scenarios = [
+    { name: '修改价格', update: (list, i) => { list[(i * 7919) % list.length].price = i % 1000 } },
+    { name: '切换条件', update: (list, i) => { const row = list[(i * 7919) % list.length]; row.active = !row.active } },
+    { name: '追加一行', update: list => { list.push(createRow()) } },
+    { name: '删除末尾', update: list => { list.pop() } },
+]
+
+function measure(setup, update, times) {
+    const list = getProxyObj(Array.from({ length: size }, createRow))
+    const runner = setup(list)
+    const start = performance.now()
+    for (let i = 0; i < times; i++) update(list, i)
+    const time = performance.now() - start
+    const message = runner.q ? check(runner.q, list) : null
+    if (runner.q) runner.q.stop()
+    stop(runner)
+    return { time: time / times, message }
+}
+
+const results = scenarios.map(({ name, update }) => {
+    const full = measure(naive, update, 10)
+    const fast = measure(incremental, update, 1000)
+    if (fast.message) {
+        console.log(`${name}：结果与完整重新计算不一致，${fast.message}`)
+        process.exitCode = 1
+    }
+    return {
+        场景: name,
+        '完整重新计算 (ms/次)': full.time.toFixed(3),
+        '增量查询 (ms/次)': fast.time.toFixed(4),
+        提升: `${(full.time / fast.time).toFixed(0)}x`,
+    }
+})
+console.table(results)
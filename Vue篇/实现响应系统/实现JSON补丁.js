@@ -0,0 +1,270 @@
+// JSON Patch（RFC 6902）：通过 addMutationListener 监听响应式对象树中的修改，将每一次修改转换成 add、replace、remove 操作
+// path 是 JSON Pointer（RFC 6901），被多个路径引用的对象修改时，每个路径都会生成一个操作，移动到其他位置的对象使用新的路径
+// Map 按照对象处理（只支持字符串和数字键），Set 按照数组处理，Set 的任何修改都会替换整个数组
+// applyPatch 通过代理对象执行这些操作，从而可以将一个响应式对象的修改同步到另一个响应式对象
+
+const { TriggerType, addMutationListener, transaction, toRaw } = require('./对象响应系统的模拟')
+
+const isObject = value => typeof value === 'object' && value !== null
+
+// 能够出现在 JSON 中的键
+function isJSONKey(key) {
+    return typeof key === 'string' || typeof key === 'number'
+}
+
+// 数组的索引，例如 '0'、'12'
+function isIndex(key) {
+    return typeof key === 'string' && /^(0|[1-9]\d*)$/.test(key)
+}
+
+// JSON Pointer 中 ~ 和 / 需要转义
+function toPointer(tokens) {
+    return tokens.map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('')
+}
+
+function parsePointer(path) {
+    if (path === '') return []
+    if (path[0] !== '/') throw new Error(`无效的 JSON Pointer：${path}`)
+    return path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+// 将数据转换成可以 JSON 序列化的普通数据，Map 转换成对象，Set 转换成数组，循环引用无法表示，会被忽略
+// onArray 会在遇到每个数组时被调用
+function toPlain(value, onArray, ancestors = new Set()) {
+    value = toRaw(value)
+    if (!isObject(value) || ancestors.has(value)) return isObject(value) ? undefined : value
+    ancestors.add(value)
+    let res
+    if (Array.isArray(value)) {
+        if (onArray) onArray(value)
+        // 使用 Array.from 将空位转换成 undefined，序列化之后是 null
+        res = Array.from(value, v => toPlain(v, onArray, ancestors))
+    } else if (value instanceof Set) {
+        res = [...value].map(v => toPlain(v, onArray, ancestors))
+    } else if (value instanceof Map) {
+        res = {}
+        value.forEach((v, k) => {
+            if (isJSONKey(k)) res[k] = toPlain(v, onArray, ancestors)
+        })
+    } else {
+        res = {}
+        Object.keys(value).forEach(key => {
+            res[key] = toPlain(value[key], onArray, ancestors)
+        })
+    }
+    ancestors.delete(value)
+    return res
+}
+
+// 监听响应式对象 root 的修改，每次修改时调用 listener(patches)，返回停止监听的函数
+function observePatches(root, listener) {
+    const rawRoot = toRaw(root)
+    // 原始对象 --> 从 root 到它的所有路径，修改了对象类型的值之后需要重新收集
+    let paths = null
+    // 数组 --> 接收补丁的一方看到的数组长度
+    // delete arr[i] 会在数组中留下空位而不改变长度，而 JSON 中的 remove 会改变长度，所以需要单独记录
+    const lengths = new WeakMap()
+
+    function collectPaths(node, tokens, ancestors) {
+        if (!isObject(node) || ancestors.has(node)) return
+        if (!paths.has(node)) paths.set(node, [])
+        paths.get(node).push(tokens)
+        ancestors.add(node)
+        if (node instanceof Map) {
+            node.forEach((v, k) => {
+                if (isJSONKey(k)) collectPaths(toRaw(v), [...tokens, String(k)], ancestors)
+            })
+        } else if (node instanceof Set) {
+            [...node].forEach((v, i) => collectPaths(toRaw(v), [...tokens, String(i)], ancestors))
+        } else {
+            Object.keys(node).forEach(key => collectPaths(toRaw(node[key]), [...tokens, key], ancestors))
+        }
+        ancestors.delete(node)
+    }
+
+    // 序列化的数组会被完整地发送给接收方，之后重新记录它的长度
+    const toValue = value => toPlain(value, arr => lengths.delete(arr))
+
+    // 第一次修改数组时，修改之前的长度就是接收方看到的长度
+    function getLength(target, oldLength) {
+        if (!lengths.has(target)) lengths.set(target, oldLength !== undefined ? oldLength : target.length)
+        return lengths.get(target)
+    }
+
+    // 数组的修改，返回相对于数组的操作
+    function arrayOperations({ target, key, type, newValue, oldLength }) {
+        const ops = []
+        let length = getLength(target, oldLength)
+        if (key === 'length') {
+            while (length > newValue) ops.push({ op: 'remove', tokens: [String(--length)] })
+            while (length < newValue) ops.push({ op: 'add', tokens: [String(length++)], value: null })
+        } else if (isIndex(key)) {
+            const index = Number(key)
+            if (type === TriggerType.DELETE) {
+                // 删除最后一个元素时数组变短，删除中间的元素留下空位，用 null 表示
+                if (index === length - 1) {
+                    ops.push({ op: 'remove', tokens: [key] })
+                    length--
+                } else if (index < length) {
+                    ops.push({ op: 'replace', tokens: [key], value: null })
+                }
+            } else {
+                // 设置超出长度的索引时，中间的空位用 null 填充
+                while (length < index) ops.push({ op: 'add', tokens: [String(length++)], value: null })
+                if (index < length) {
+                    ops.push({ op: 'replace', tokens: [key], value: toValue(newValue) })
+                } else {
+                    ops.push({ op: 'add', tokens: [key], value: toValue(newValue) })
+                    length++
+                }
+            }
+        }
+        // 数组上的其他属性不属于 JSON，忽略
+        lengths.set(target, length)
+        return ops
+    }
+
+    // 将一次修改转换成相对于被修改对象的操作
+    function toOperations(mutation) {
+        const { target, key, type, newValue } = mutation
+        if (Array.isArray(target)) return arrayOperations(mutation)
+        if (target instanceof Set) return [{ op: 'replace', tokens: [], value: toValue(target) }]
+        if (type === TriggerType.CLEAR) return [{ op: 'replace', tokens: [], value: {} }]
+        if (!isJSONKey(key)) return []
+        if (type === TriggerType.DELETE) return [{ op: 'remove', tokens: [String(key)] }]
+        return [{ op: type === TriggerType.ADD ? 'add' : 'replace', tokens: [String(key)], value: toValue(newValue) }]
+    }
+
+    return addMutationListener(mutation => {
+        if (!paths) {
+            paths = new Map()
+            collectPaths(rawRoot, [], new Set())
+        }
+        const targetPaths = paths.get(mutation.target)
+        if (!targetPaths) return
+        // 对象树的结构可能变化了，下次重新收集
+        if (isObject(mutation.newValue) || isObject(mutation.oldValue) || mutation.type === TriggerType.CLEAR || mutation.target instanceof Set) {
+            paths = null
+        }
+        const ops = toOperations(mutation)
+        const patches = []
+        targetPaths.forEach(tokens => {
+            ops.forEach(({ op, tokens: rest, value }) => {
+                const patch = { op, path: toPointer([...tokens, ...rest]) }
+                if (op !== 'remove') patch.value = value
+                patches.push(patch)
+            })
+        })
+        if (patches.length) listener(patches)
+    })
+}
+
+// 路径中的 token 都是字符串，而 Map 的键可能是数字，找到 String(k) 与 token 相同的键，没有时使用 token 本身作为新的键
+function toMapKey(map, token) {
+    if (map.has(token)) return token
+    for (const k of map.keys()) {
+        if (isJSONKey(k) && String(k) === token) return k
+    }
+    return token
+}
+
+function getChild(parent, key) {
+    if (parent instanceof Map) return parent.get(toMapKey(parent, key))
+    if (parent instanceof Set) return [...parent][key]
+    return parent[key]
+}
+
+// 替换 parent[key]，原来的值是 Set 或 Map 时，保留原来的对象，只替换其中的元素
+function replaceChild(parent, key, value) {
+    const current = getChild(parent, key)
+    if (current instanceof Set && Array.isArray(value)) {
+        current.clear()
+        value.forEach(v => current.add(v))
+    } else if (current instanceof Map && isObject(value) && !Array.isArray(value)) {
+        current.clear()
+        Object.keys(value).forEach(k => current.set(k, value[k]))
+    } else if (parent instanceof Map) {
+        parent.set(toMapKey(parent, key), value)
+    } else {
+        parent[key] = value
+    }
+}
+
+function applyOperation(root, { op, path, value }) {
+    const tokens = parsePointer(path)
+    if (!tokens.length) throw new Error('不能替换根对象')
+    const key = tokens.pop()
+    let parent = root
+    tokens.forEach(token => {
+        parent = getChild(parent, token)
+        if (!isObject(parent)) throw new Error(`路径不存在：${path}`)
+    })
+    // 补丁中的值复制一份，避免补丁和响应式数据共享同一个对象
+    value = toPlain(value)
+    if (Array.isArray(parent)) {
+        const index = key === '-' ? parent.length : Number(key)
+        if (!isIndex(String(index)) || index > parent.length || (op !== 'add' && index >= parent.length)) {
+            throw new Error(`数组索引越界：${path}`)
+        }
+        if (op === 'add') {
+            parent.splice(index, 0, value)
+        } else if (op === 'remove') {
+            parent.splice(index, 1)
+        } else {
+            parent[index] = value
+        }
+        return
+    }
+    if (op !== 'add' && !(parent instanceof Map ? parent.has(toMapKey(parent, key)) : key in parent)) {
+        throw new Error(`路径不存在：${path}`)
+    }
+    if (op === 'remove') {
+        parent instanceof Map ? parent.delete(toMapKey(parent, key)) : delete parent[key]
+    } else {
+        replaceChild(parent, key, value)
+    }
+}
+
+// 通过代理对象依次执行补丁中的操作，任何一个操作失败时，所有的修改都会被撤销，然后抛出错误
+function applyPatch(root, patches) {
+    transaction(() => {
+        patches.forEach(patch => {
+            if (!['add', 'replace', 'remove'].includes(patch.op)) throw new Error(`不支持的操作：${patch.op}`)
+            applyOperation(root, patch)
+        })
+    })
+}
+
+module.exports = {
+    toPlain,
+    toPointer,
+    parsePointer,
+    observePatches,
+    applyPatch,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { effect, getProxyObj } = require('./对象响应系统的模拟')
+
+    const state = getProxyObj({ user: { name: 'Tom' }, todos: ['a', 'b', 'c'] })
+    // 另一个响应式对象通过补丁与 state 保持同步
+    const replica = getProxyObj(JSON.parse(JSON.stringify(state)))
+    effect(() => {
+        console.log('replica:', JSON.stringify(replica))
+    })
+    observePatches(state, patches => {
+        console.log(JSON.stringify(patches))
+        applyPatch(replica, patches)
+    })
+
+    state.user.name = 'Jerry'
+    state.todos.splice(1, 1)
+    state.todos.push('d')
+    // 同一个对象可以通过两个路径访问到
+    state.owner = state.user
+    state.user.age = 18
+    // 移动之后使用新的路径
+    delete state.user
+    state.owner.age++
+}
@@ -0,0 +1,177 @@
+// Proxy 只能代理对象，对于原始值（数字、字符串等）需要用一个对象将其包裹起来，这就是 ref
+// ref 基于 track 和 trigger 实现，读取 value 时追踪，设置 value 时触发
+
+const { TriggerType, ReactiveFlags, effect, track, trigger, toRaw, getProxyObj } = require('./对象响应系统的模拟')
+
+// 判断一个值是否是 ref，通过 ReactiveFlags.IS_REF 标记区分 ref 与普通对象
+function isRef(r) {
+    return !!(r && r[ReactiveFlags.IS_REF] === true)
+}
+
+// 给包裹对象定义一个不可枚举、不可写的 ReactiveFlags.IS_REF 标记
+function markRef(r) {
+    Object.defineProperty(r, ReactiveFlags.IS_REF, { value: true })
+    return r
+}
+
+// 如果是对象，则包装成响应式数据，原始值直接返回
+function toReactive(value) {
+    return typeof value === 'object' && value !== null ? getProxyObj(value) : value
+}
+
+function createRef(rawValue, isShallow) {
+    // 已经是 ref 了，直接返回
+    if (isRef(rawValue)) return rawValue
+    // 保存原始值用于比较，value 是对外暴露的值，深响应时对象会被包装成响应式数据
+    rawValue = isShallow ? rawValue : toRaw(rawValue)
+    let value = isShallow ? rawValue : toReactive(rawValue)
+    const r = {
+        get value() {
+            // 读取 value 时与 ref 对象本身建立联系
+            track(r, 'value')
+            return value
+        },
+        set value(newValue) {
+            newValue = isShallow ? newValue : toRaw(newValue)
+            // 比较新值与旧值，当不全等的时候，且都不是 NaN 的时候才触发响应
+            if (newValue !== rawValue && (newValue === newValue || rawValue === rawValue)) {
+                const oldValue = rawValue
+                rawValue = newValue
+                value = isShallow ? newValue : toReactive(newValue)
+                trigger(r, 'value', TriggerType.SET, newValue, oldValue)
+            }
+        }
+    }
+    return markRef(r)
+}
+
+// 深响应的 ref，value 是对象时会被包装成响应式数据
+function ref(value) {
+    return createRef(value, false)
+}
+
+// 浅响应的 ref，只有 value 本身被替换时才会触发响应
+function shallowRef(value) {
+    return createRef(value, true)
+}
+
+// 如果是 ref 则返回它的 value，否则原样返回
+function unref(r) {
+    return isRef(r) ? r.value : r
+}
+
+// 自定义 ref，由用户决定何时追踪、何时触发，factory 接收 track 和 trigger 两个函数，返回 get 和 set
+function customRef(factory) {
+    const r = {}
+    const { get, set } = factory(
+        () => track(r, 'value'),
+        () => trigger(r, 'value', TriggerType.SET)
+    )
+    Object.defineProperty(r, 'value', {
+        get,
+        set,
+        enumerable: true,
+    })
+    return markRef(r)
+}
+
+// 将响应式对象的某个属性转换成 ref，读写都会作用于原响应式对象上，从而保持响应式联系
+function toRef(obj, key, defaultValue) {
+    const val = obj[key]
+    if (isRef(val)) return val
+    const r = {
+        get value() {
+            const res = obj[key]
+            return res === undefined ? defaultValue : res
+        },
+        set value(newValue) {
+            obj[key] = newValue
+        }
+    }
+    return markRef(r)
+}
+
+// 将响应式对象的所有属性都转换成 ref，解决展开运算符（...）导致响应丢失的问题
+function toRefs(obj) {
+    const ret = Array.isArray(obj) ? new Array(obj.length) : {}
+    for (const key in obj) {
+        ret[key] = toRef(obj, key)
+    }
+    return ret
+}
+
+// 自动脱 ref，读取属性时如果是 ref 则返回它的 value，设置属性时如果原来的值是 ref 则设置到它的 value 上
+function proxyRefs(target) {
+    return new Proxy(target, {
+        get(target, key, receiver) {
+            return unref(Reflect.get(target, key, receiver))
+        },
+        set(target, key, newValue, receiver) {
+            const value = target[key]
+            if (isRef(value) && !isRef(newValue)) {
+                value.value = newValue
+                return true
+            }
+            return Reflect.set(target, key, newValue, receiver)
+        }
+    })
+}
+
+module.exports = {
+    isRef,
+    ref,
+    shallowRef,
+    unref,
+    customRef,
+    toRef,
+    toRefs,
+    proxyRefs,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const count = ref(0)
+    effect(() => {
+        console.log('count:', count.value)
+    })
+    count.value++
+
+    const obj = getProxyObj({ foo: 1, bar: 2 })
+    // 展开后的属性依然与 obj 保持联系
+    const newObj = proxyRefs({ ...toRefs(obj) })
+    effect(() => {
+        console.log('foo:', newObj.foo)
+    })
+    obj.foo = 100
+    newObj.foo = 200
+
+    // 存放在响应式对象中的 ref 会自动脱 ref
+    const state = getProxyObj({ count })
+    console.log(state.count)
+    state.count = 10
+    console.log(count.value)
+
+    // 防抖的自定义 ref
+    const debounced = customRef((track, trigger) => {
+        let value = 'hello'
+        let timer
+        return {
+            get() {
+                track()
+                return value
+            },
+            set(newValue) {
+                clearTimeout(timer)
+                timer = setTimeout(() => {
+                    value = newValue
+                    trigger()
+                }, 100)
+            }
+        }
+    })
+    effect(() => {
+        console.log('debounced:', debounced.value)
+    })
+    debounced.value = 'a'
+    debounced.value = 'ab'
+}
@@ -1,158 +1,91 @@
-// 采用 Proxy 实现响应式系统，通过劫持对象的 getter 和 setter 来实现
-
-// 存储副作用函数
-const bucket = new WeakMap()
-
-// 当前激活的副作用函数，每次生成新的副作用函数都会触发代理对象的 getter，从而将副作用函数与代理对象绑定
-let activeEffect
-// effect 栈
-const effectStack = []
-
-// 用于注册副作用函数
-function effect(fn, options = {}) {
-    const effectFn = () => {
-        // 调用 cleanup 函数清除该副作用函数绑定的属性直接的连接关系，这样每次注册之前都会先移除其他的副作用函数
-        cleanup(effectFn)
-        // 当调用 effect 注册副作用函数时，将副作用函数 fn 复制给 activeEffect
-        activeEffect = effectFn
-        // 立即执行副作用函数
-        // 在调用 effect 注册副作用函数前将其副作用函数压入栈中
-        effectStack.push(effectFn)
-        // 将 fn 的执行结果存储到 res 中
-        const res = fn()
-        // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
-        effectStack.pop()
-        activeEffect = effectStack[effectStack.length - 1]
-        // 将 res 作为 effectFn 的返回值
-        return res
-    }
+// watch 基于 effect 的 lazy 和 scheduler 选项实现，响应式系统的核心部分见 对象响应系统的模拟.js
 
-    // 将 options 挂载到 effectFn 上
-    effectFn.options = options
+const { effect, stop, getProxyObj, ErrorTypes, handleError, callWithErrorHandling } = require('./对象响应系统的模拟')
+const { queuePreFlushCb, queuePostFlushCb } = require('./实现调度器')
+const { isRef, ref } = require('./实现ref')
 
-    // activeEffect.deps 数组用来存储所有与该副作用函数相关联的依赖集合
-    effectFn.deps = []
-    // 只有非 lazy 的时候才执行
-    if (!options.lazy) {
-        // 执行副作用函数
-        effectFn()
-    }
-    // 将副作用函数作为返回值返回
-    return effectFn
+// 比较新值与旧值，当不全等的时候，且都不是 NaN 的时候才认为发生了变化
+function hasChanged(value, oldValue) {
+    return value !== oldValue && (value === value || oldValue === oldValue)
 }
 
-function cleanup(effectFn) {
-    // 遍历 effectFn.deps 数组
-    for(let i = 0; i < effectFn.deps.length; i++) {
-        // deps 是依赖集合
-        const deps = effectFn.deps[i]
-        // 将 effectFn 从依赖集合中移除
-        deps.delete(effectFn)
-    }
-    // 重置 effectFn.deps 数组
-    effectFn.deps.length = 0
+// 非 ref 的对象被当作响应式数据处理
+function isReactiveSource(source) {
+    return typeof source === 'object' && source !== null && !isRef(source)
 }
 
-// 生成代理函数
-function getProxyObj(obj) {
-    return new Proxy(obj, {
-        // 拦截读取操作
-        get(target, key, receiver) {
-            // 处理副作用函数
-            track(target, key)
-            // 使用 Reflect.get 返回读取到的属性值
-            return Reflect.get(target, key, receiver)
-        },
-        // 拦截设置操作
-        set(target, key, value) {
-            // 给属性重新赋值
-            target[key] = value
-            // 执行副作用函数
-            trigger(target, key)
-        }
-    })
+// 将 deep 选项转换成 traverse 的遍历深度，true 代表不限深度
+function getDepth(deep) {
+    return deep === true ? Infinity : deep
 }
-// 在 getter 拦截函数内调用 track 函数追踪变化
-function track(target, key) {
-    // 没有副作用函数，直接 return
-    if (!activeEffect) return
-    // 根据 target 从副作用函数库里取出 depsMap，它是一个 Map 类型：key --> effects
-    let depsMap = bucket.get(target)
-    // 如果不存在 depsMap，就新建一个 Map 并与 target 相关联
-    if (!depsMap) bucket.set(target, (depsMap = new Map()))
-    // 再根据 key 从 depsMap 中获取 deps，它是一个 Set 类型，里面存储着所有与当前 key 相关联的副作用函数：effects
-    let deps = depsMap.get(key)
-    // 如果 deps 不存在，同样新建一个 Set 并于 key 相关联
-    if (!deps) depsMap.set(key, (deps = new Set()))
-    // 将当前激活的副作用函数存储到副作用函数库中
-    deps.add(activeEffect)
-    // 将其添加到 activeEffect.deps 数组中，deps 数组就是一个与当前副作用函数存在联系的依赖集合
-    activeEffect.deps.push(deps)
+
+// 所谓 watch，其本质就是观测一个响应式数据，当数据发生变化的时候，通知并执行响应的回调函数
+function watch(source, cb, options = {}) {
+    return doWatch(source, cb, options)
 }
 
-// 在setter 拦截函数中调用 trigger 函数触发变化
-function trigger(target, key) {
-    //  根据 target 从 副作用函数库中取出 depsMap，它是 key --> effects
-    const depsMap = bucket.get(target)
-    // 如果不存在 depsMap，直接返回
-    if (!depsMap) return
-    // 根据 key 取得所有的副作用函数 effects
-    const effects = depsMap.get(key)
-
-    const effectsToRun = new Set(effects)
-    
-    effects && effects.forEach(effect => {
-        // 如果 trigger 触发执行的副作用函数与当前正在执行的副作用函数相同，则不触发执行，避免如 i++ 等的重复触发（递归调用）
-        if (effect !== activeEffect) effectsToRun.add(effect)
-    })
-    // 执行副作用函数
-    effectsToRun.forEach(effect => {
-        // 如果一个副作用函数存在调度器，则调用该调度器，并将副作用函数作为参数传递
-        if (effect.options.scheduler) {
-            effect.options.scheduler(effect)
-        } else {
-            // 否则直接执行副作用函数
-            effect()
-        }
-    })
-    // effects && effects.forEach(effect => effect())
+// watchEffect 立即执行传入的函数，并在其依赖变化时重新执行，过期回调通过 onCleanup 参数注册
+function watchEffect(effectFn, options = {}) {
+    return doWatch(effectFn, null, options)
 }
 
-// 定义一个任务队列
-const jobQueue = new Set()
-// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
-const p = Promise.resolve()
-
-// 一个代表是否正在刷新队列的标志
-let isFlushing = false
-// 刷新任务队列函数
-function flushJob() {
-    // 如果任务队列正在刷新，什么也不做
-    if (isFlushing) return
-    // 开启任务队列刷新
-    isFlushing = true
-    // 在微任务中刷新队列
-    p.then(() => {
-        jobQueue.forEach(job => job())
-    }).finally(() => {
-        // 刷新队列结束
-        isFlushing = false
-    })
+// flush 为 post 的 watchEffect
+function watchPostEffect(effectFn, options = {}) {
+    return doWatch(effectFn, null, { ...options, flush: 'post' })
 }
 
+// flush 为 sync 的 watchEffect
+function watchSyncEffect(effectFn, options = {}) {
+    return doWatch(effectFn, null, { ...options, flush: 'sync' })
+}
 
-// 所谓 watch，其本质就是观测一个响应式数据，当数据发生变化的时候，通知并执行响应的回调函数
-function watch(source, cb, options) {
+function doWatch(source, cb, { immediate, deep, once, flush, name, onTrack, onTrigger, onError } = {}) {
     let getter
-    // 如果 source 是函数，说明用户传的是 getter，直接把 source 赋值给 getter
-    if (typeof source === 'function') {
-        getter = source
+    // 是否观测多个数据源
+    let isMultiSource = false
+    // 为 true 时即使新旧值相同也执行回调，观测的是响应式对象时新旧值是同一个对象
+    let forceTrigger = false
+    if (isRef(source)) {
+        // 如果 source 是 ref，读取它的 value
+        getter = () => source.value
+    } else if (Array.isArray(source)) {
+        // 如果 source 是数组，则依次读取每一个数据源，得到的新值和旧值也都是数组
+        isMultiSource = true
+        forceTrigger = source.some(isReactiveSource)
+        getter = () => source.map(s => {
+            if (isRef(s)) return s.value
+            if (typeof s === 'function') return s()
+            if (isReactiveSource(s)) return traverse(s)
+            return s
+        })
+    } else if (typeof source === 'function') {
+        if (cb) {
+            // 如果 source 是函数，说明用户传的是 getter，直接把 source 赋值给 getter
+            getter = source
+        } else {
+            // 没有回调函数说明是 watchEffect，每次重新执行之前先调用过期回调，并把 onInvalidate 传给它
+            getter = () => {
+                runCleanup()
+                return source(onInvalidate)
+            }
+        }
     } else {
-        // 否则按照原来的实现方式递归读取
-        getter = () => traverse(source)
+        // 否则按照原来的实现方式递归读取，响应式对象默认深度观测，deep 为 false 时只观测第一层
+        forceTrigger = true
+        const depth = deep === false ? 1 : deep === undefined ? Infinity : getDepth(deep)
+        getter = () => traverse(source, depth)
+    }
+
+    // 观测 ref、getter 或多个数据源时开启了 deep，则递归读取得到的值，响应式对象在上面已经处理过了
+    if (cb && deep && (isRef(source) || Array.isArray(source) || typeof source === 'function')) {
+        const baseGetter = getter
+        getter = () => traverse(baseGetter(), getDepth(deep))
     }
+
     // 定义新值与旧值
     let newValue, oldValue
+    // 还没有执行过回调时，旧值为 undefined
+    let hasOldValue = false
 
     // 用 cleanup 来存储用户注册的过期回调
     let cleanup
@@ -160,84 +93,184 @@ function watch(source, cb, options) {
     function onInvalidate(fn) {
         cleanup = fn
     }
+    // 执行过期回调，每个过期回调只会执行一次
+    function runCleanup() {
+        if (cleanup) {
+            const fn = cleanup
+            cleanup = undefined
+            callWithErrorHandling(fn, effectFn, ErrorTypes.CLEANUP)
+        }
+    }
 
     // 提取 scheduler 调度函数为一个独立的 job 函数
     const job = () => {
-        // 在 schedule 中再次执行副作用函数，得到的是新值
-        newValue = effectFn()
+        // watch 已经停止了，不再执行回调
+        if (!effectFn.active) return
+        // watchEffect 没有回调函数，直接重新执行副作用函数
+        if (!cb) {
+            callWithErrorHandling(effectFn, effectFn, ErrorTypes.EFFECT)
+            return
+        }
+        // 在 schedule 中再次执行副作用函数，得到的是新值，getter 出错时不执行回调
+        try {
+            newValue = effectFn()
+        } catch (err) {
+            handleError(err, effectFn, ErrorTypes.WATCH_GETTER)
+            return
+        }
+        const changed = !hasOldValue || deep || forceTrigger || (isMultiSource
+            ? newValue.some((v, i) => hasChanged(v, oldValue[i]))
+            : hasChanged(newValue, oldValue))
+        if (!changed) return
         // 在执行回调函数 cb 之前，先调用过期回调
-        if (cleanup) cleanup()
-        // 当数据变化时，调用回调函数 cb，传入新值和旧值，以及过期回调函数
-        cb(newValue, oldValue, onInvalidate)
+        runCleanup()
+        // 当数据变化时，调用回调函数 cb，传入新值和旧值，以及过期回调函数，第一次执行时多数据源的旧值是空数组
+        callWithErrorHandling(cb, effectFn, ErrorTypes.WATCH_CALLBACK, [newValue, hasOldValue ? oldValue : isMultiSource ? [] : undefined, onInvalidate])
         // 更新旧值，否则下一次会得到错误的旧值
         oldValue = newValue
+        hasOldValue = true
+        // once 为 true 时，回调执行一次之后就停止观测
+        if (once) unwatch()
     }
     // 使用 effect 注册副作用函数时，开启 lazy 选项，并把返回值存储到 effectFn 中以便后续手动调用
     const effectFn = effect(
         // 调用 traverse 函数，递归触发读取操作，从而建立联系
         () => getter(),
-        {   
+        {
             lazy: true,
             // 使用 job 函数作为调度器函数
             scheduler: () => {
-                // 在调度函数中判断 flush 是否为 post，如果是，将其放到微任务队列中执行
-                if (options.flush === 'post') {
-                    const p = Promise.resolve();
-                    p.then(job)
-                } else job()
-            }
+                // 根据 flush 选项决定 job 的执行时机：sync 同步执行，post 在主队列之后执行，默认 pre 在主队列之前执行
+                // 交给调度器的 job 在一次刷新中只会执行一次
+                if (flush === 'sync') {
+                    job()
+                } else if (flush === 'post') {
+                    queuePostFlushCb(job)
+                } else {
+                    queuePreFlushCb(job)
+                }
+            },
+            // watch 停止时，执行最后一次注册的过期回调
+            onStop: runCleanup,
+            name: name || (cb ? 'watch' : 'watchEffect'),
+            onTrack,
+            onTrigger,
+            onError,
         }
     )
-    if (options.immediate) {
-        // 当 immediate 为 true 时立即执行 job，从而触发回调执行
-        job()
+
+    // 停止函数，调用后不再观测数据的变化
+    const unwatch = () => stop(effectFn)
+
+    if (cb) {
+        if (immediate) {
+            // 当 immediate 为 true 时立即执行 job，从而触发回调执行
+            job()
+        } else {
+            // 手动调用副作用函数，拿到的值就是旧值
+            oldValue = callWithErrorHandling(effectFn, effectFn, ErrorTypes.WATCH_GETTER)
+            hasOldValue = true
+        }
+    } else if (flush === 'post') {
+        // flush 为 post 的 watchEffect 第一次执行也放到主队列之后
+        queuePostFlushCb(job)
     } else {
-        // 手动调用副作用函数，拿到的值就是旧值
-        oldValue = effectFn()
+        callWithErrorHandling(effectFn, effectFn, ErrorTypes.EFFECT)
     }
+
+    return unwatch
 }
 
-function traverse (value, seen = new Set()) {
-    // 如果要读取的数据是原始值，活着已经被读取过了，那么直接 return
-    if (typeof value !== 'object' || value === null || seen.has(value)) return;
+// 递归读取 value 的每一个属性，从而与它们都建立联系，depth 限制递归的深度
+function traverse (value, depth = Infinity, seen = new Set()) {
+    // 如果要读取的数据是原始值，活着已经被读取过了，或者已经达到了限制的深度，那么直接 return
+    if (depth <= 0 || typeof value !== 'object' || value === null || seen.has(value)) return value
     // 将数据添加到 seen 中，代表已经遍历的读取过了，避免循环引用引起的死循环
     seen.add(value)
-    // 暂时不考虑数组等其他数据结构，假设 value 就是一个对象，使用 for...in 循环读取对象的每一个值，并递归地调用 traverse 进行处理
-    for (const k in value) {
-        traverse(value[k], seen)
+    if (isRef(value)) {
+        // ref 本身不计入深度，继续读取它的 value
+        traverse(value.value, depth, seen)
+        return value
+    }
+    depth--
+    if (Array.isArray(value)) {
+        // 数组通过索引读取，同时会与 length 建立联系
+        for (let i = 0; i < value.length; i++) {
+            traverse(value[i], depth, seen)
+        }
+    } else if (value instanceof Map || value instanceof Set) {
+        // 集合通过 forEach 读取，会与 ITERATE_KEY 建立联系
+        value.forEach(v => {
+            traverse(v, depth, seen)
+        })
+    } else {
+        // 普通对象使用 for...in 循环读取对象的每一个值，并递归地调用 traverse 进行处理
+        for (const k in value) {
+            traverse(value[k], depth, seen)
+        }
     }
     return value
 }
 
-const obj = getProxyObj({ foo: 1 })
-// watch(obj, () => {
-//     console.log('数据发生变化了')
-// })
-
-let finalData
-watch(() => obj.foo, async (newValue, oldValue, onInvalidate) => {
-    console.log(newValue, oldValue, '数据发生变化了')
-    // 定义一个标志，代表当前副作用函数是否过期，默认为 false，代表没有过期 
-    let expired = false
-    // 调用 onInvalidate 函数注册一个过期回调
-    onInvalidate(() => {
-        // 当过期时，expired 为true
-        expired = true
-    })
-    let res
-    // 模拟网络请求
-    await Promise.resolve().then(() => {
-        console.log('执行Promise')
-        res = 'test'
+module.exports = {
+    watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
+    traverse,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const obj = getProxyObj({ foo: 1 })
+    // watch(obj, () => {
+    //     console.log('数据发生变化了')
+    // })
+
+    let finalData
+    watch(() => obj.foo, async (newValue, oldValue, onInvalidate) => {
+        console.log(newValue, oldValue, '数据发生变化了')
+        // 定义一个标志，代表当前副作用函数是否过期，默认为 false，代表没有过期 
+        let expired = false
+        // 调用 onInvalidate 函数注册一个过期回调
+        onInvalidate(() => {
+            // 当过期时，expired 为true
+            expired = true
+        })
+        let res
+        // 模拟网络请求
+        await Promise.resolve().then(() => {
+            console.log('执行Promise')
+            res = 'test'
+        })
+        // 只有当副作用函数的执行没有过期时，才会执行后续操作
+        if (!expired) finalData = res
+        console.log(finalData)
+    }, {
+        // 回调函数会在创建时立即执行一次
+        immediate: true,
+        // 同步执行回调，每次修改都会触发一次，从而演示过期回调的作用
+        flush: 'sync',
     })
-    // 只有当副作用函数的执行没有过期时，才会执行后续操作
-    if (!expired) finalData = res
-    console.log(finalData)
-}, {
-    // 回调函数会在创建时立即执行一次
-    immediate: true,
-    // flush: 'post',
-})
-obj.foo++
-obj.foo++
+    obj.foo++
+    obj.foo++
+
+    // 同时观测多个数据源，新值和旧值都是数组
+    const count = ref(0)
+    const stopMulti = watch([count, () => obj.foo], ([newCount, newFoo], [oldCount, oldFoo]) => {
+        console.log(`count: ${oldCount} -> ${newCount}, foo: ${oldFoo} -> ${newFoo}`)
+    }, { once: true })
+    count.value++
+    obj.foo++
 
+    // watchEffect 的过期回调通过参数注册
+    const stopEffect = watchEffect(onCleanup => {
+        console.log('watchEffect:', count.value)
+        onCleanup(() => console.log('watchEffect 过期'))
+    })
+    count.value++
+    setTimeout(() => {
+        stopMulti()
+        stopEffect()
+    })
+}
@@ -0,0 +1,41 @@
+// 伪随机数：可以指定种子的随机数生成器（mulberry32），随机测试失败时打印出种子，使用相同的种子可以重现
+// createRandom(seed) 返回 { seed, random, randomInt, shuffle }，没有指定种子（或者种子无效）时使用当前时间
+// 供 快速Diff随机测试.js、增量查询基准测试.js 等随机测试共用
+
+function createRandom(seed) {
+    seed = Number(seed) || Date.now() % 100000
+    let a = seed
+    // [0, 1) 之间的随机数
+    const random = () => {
+        a = (a + 0x6D2B79F5) | 0
+        let t = Math.imul(a ^ (a >>> 15), 1 | a)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+    // [0, n) 之间的随机整数
+    const randomInt = n => Math.floor(random() * n)
+    // 原地打乱数组（Fisher-Yates）
+    const shuffle = arr => {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = randomInt(i + 1)
+            ;[arr[i], arr[j]] = [arr[j], arr[i]]
+        }
+        return arr
+    }
+    return { seed, random, randomInt, shuffle }
+}
+
+module.exports = {
+    createRandom,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    // 相同的种子得到相同的序列
+    const a = createRandom(42)
+    const b = createRandom(42)
+    console.log(a.randomInt(100), a.randomInt(100), a.shuffle([1, 2, 3, 4, 5]).join(','))
+    console.log(b.randomInt(100), b.randomInt(100), b.shuffle([1, 2, 3, 4, 5]).join(','))
+    // 不指定种子时使用当前时间，打印出来之后可以重现
+    console.log('种子：', createRandom().seed)
+}
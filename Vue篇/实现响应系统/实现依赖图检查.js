@@ -0,0 +1,253 @@
+// 依赖图检查：bucket（WeakMap） --> depsMap（Map） --> deps（Set<effectFn>）以及 effectFn.deps 在外部都是看不到的
+// 这里提供查看某个对象被哪些副作用函数依赖、某个副作用函数依赖了哪些对象的哪些属性，以及导出完整依赖图的能力，用于排查没有停止的订阅
+// 所有副作用函数都会被登记，导出完整的依赖图需要先调用 enableInspector 开启导出，开启之前创建的副作用函数同样会出现在依赖图中
+
+const http = require('http')
+const {
+    ITERATE_KEY,
+    MAP_KEY_ITERATE_KEY,
+    ARRAY_ITERATE_KEY,
+    getDepsMap,
+    getDepInfo,
+    getActiveEffects,
+} = require('./对象响应系统的模拟')
+const { isRef } = require('./实现ref')
+
+// 给对象和副作用函数分配稳定的 id，使用 WeakMap 不影响垃圾回收
+const ids = new WeakMap()
+// 每种前缀各自计数：t 代表对象，e 代表副作用函数，o 代表作为 Map 键的对象
+const counters = {}
+function getId(obj, prefix) {
+    if (!ids.has(obj)) {
+        counters[prefix] = (counters[prefix] || 0) + 1
+        ids.set(obj, `${prefix}${counters[prefix]}`)
+    }
+    return ids.get(obj)
+}
+
+// 将属性转换成可以序列化的字符串
+function formatKey(key) {
+    if (key === ITERATE_KEY) return '[[iterate]]'
+    if (key === MAP_KEY_ITERATE_KEY) return '[[keys]]'
+    if (key === ARRAY_ITERATE_KEY) return '[[array]]'
+    if (typeof key === 'symbol') return key.toString()
+    // Map 和 Set 的键可以是对象
+    if (typeof key === 'object' && key !== null) return `[${getTypeName(key)} ${getId(key, 'o')}]`
+    return String(key)
+}
+
+// 对象的类型名称，ref 和计算属性单独标记出来
+function getTypeName(target) {
+    // 计算属性同样是 ref，需要先判断
+    if (typeof target.effect === 'function' && 'value' in target) return 'Computed'
+    if (isRef(target)) return 'Ref'
+    const ctor = Object.getPrototypeOf(target)
+    return ctor && ctor.constructor ? ctor.constructor.name : 'Object'
+}
+
+// 计算属性传入的是包含 effect 的对象，取出其中的副作用函数
+function toEffect(runner) {
+    return typeof runner === 'function' ? runner : runner.effect
+}
+
+function describeEffect(effectFn) {
+    return {
+        id: getId(effectFn, 'e'),
+        name: effectFn.name,
+        active: effectFn.active,
+    }
+}
+
+// 列出某个响应式对象（或 ref、计算属性）被追踪的属性，以及依赖每个属性的副作用函数
+function getTargetDeps(target) {
+    const depsMap = getDepsMap(target)
+    if (!depsMap) return []
+    const res = []
+    depsMap.forEach((deps, key) => {
+        // 副作用函数重新执行时会清除依赖，留下空的依赖集合，这些属性当前没有被追踪
+        if (!deps.size) return
+        res.push({
+            key: formatKey(key),
+            effects: [...deps].map(describeEffect),
+        })
+    })
+    return res
+}
+
+// 列出某个副作用函数（或计算属性）依赖的所有对象和属性
+function getEffectDeps(runner) {
+    const effectFn = toEffect(runner)
+    return effectFn.deps.map(deps => {
+        const { target, key } = getDepInfo(deps)
+        return {
+            target,
+            targetId: getId(target, 't'),
+            type: getTypeName(target),
+            key: formatKey(key),
+        }
+    })
+}
+
+// 开启检查的次数，多个检查工具可以同时开启
+let inspectors = 0
+
+// 开启检查，之后可以导出依赖图，返回关闭检查的函数
+function enableInspector() {
+    inspectors++
+    let enabled = true
+    return () => {
+        if (!enabled) return
+        enabled = false
+        inspectors--
+    }
+}
+
+// 导出完整的依赖图，包含所有还没有停止的副作用函数，结果可以直接 JSON.stringify
+function dumpGraph() {
+    if (!inspectors) throw new Error('导出依赖图需要先调用 enableInspector')
+    const targets = new Map()
+    const effects = []
+    const edges = []
+    getActiveEffects().forEach(effectFn => {
+        const info = describeEffect(effectFn)
+        effects.push(info)
+        getEffectDeps(effectFn).forEach(({ target, targetId, type, key }) => {
+            if (!targets.has(targetId)) targets.set(targetId, { id: targetId, type, keys: [] })
+            const node = targets.get(targetId)
+            if (!node.keys.includes(key)) node.keys.push(key)
+            edges.push({ from: targetId, key, to: info.id })
+        })
+    })
+    return {
+        targets: [...targets.values()],
+        effects,
+        edges,
+    }
+}
+
+// 转义 DOT 中的双引号和反斜杠
+function escapeDot(str) {
+    return String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+}
+
+// 将依赖图转换成 Graphviz DOT 格式，对象是方框，副作用函数是椭圆，边上标注属性名
+function toDot(graph = dumpGraph()) {
+    const lines = ['digraph deps {', '    rankdir=LR;']
+    graph.targets.forEach(t => {
+        lines.push(`    "${t.id}" [shape=box, label="${escapeDot(`${t.type} ${t.id}`)}"];`)
+    })
+    graph.effects.forEach(e => {
+        lines.push(`    "${e.id}" [shape=ellipse, label="${escapeDot(`${e.name} ${e.id}`)}"];`)
+    })
+    graph.edges.forEach(edge => {
+        lines.push(`    "${edge.from}" -> "${edge.to}" [label="${escapeDot(edge.key)}"];`)
+    })
+    lines.push('}')
+    return lines.join('\n')
+}
+
+// 浏览器中查看依赖图的页面，每秒拉取一次最新的依赖图
+const viewerHtml = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>依赖图</title>
+<style>
+body { font-family: monospace; margin: 20px; }
+table { border-collapse: collapse; margin-bottom: 20px; }
+td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+<h3>副作用函数 <span id="count"></span></h3>
+<table id="effects"></table>
+<p><a href="/graph.json">graph.json</a> | <a href="/graph.dot">graph.dot</a></p>
+<script>
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+}
+async function refresh() {
+    const graph = await (await fetch('/graph.json')).json()
+    document.getElementById('count').textContent = '(' + graph.effects.length + ')'
+    const rows = graph.effects.map(e => {
+        const deps = graph.edges.filter(edge => edge.to === e.id).map(edge => edge.from + '.' + edge.key)
+        return '<tr><td>' + e.id + '</td><td>' + escapeHtml(e.name) + '</td><td>' + escapeHtml(deps.join(', ')) + '</td></tr>'
+    })
+    document.getElementById('effects').innerHTML = '<tr><th>id</th><th>name</th><th>deps</th></tr>' + rows.join('')
+}
+refresh()
+setInterval(refresh, 1000)
+</script>
+</body>
+</html>`
+
+// 启动一个本地 HTTP 服务，提供实时的依赖图：/ 查看页面，/graph.json 和 /graph.dot 导出依赖图
+// 服务运行期间会开启检查，返回 http.Server，使用完毕后调用 server.close() 关闭
+function serveGraph({ port = 7331, host = '127.0.0.1' } = {}) {
+    const disable = enableInspector()
+    const server = http.createServer((req, res) => {
+        if (req.url === '/graph.json') {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' })
+            res.end(JSON.stringify(dumpGraph()))
+        } else if (req.url === '/graph.dot') {
+            res.writeHead(200, { 'Content-Type': 'text/vnd.graphviz; charset=utf-8' })
+            res.end(toDot())
+        } else if (req.url === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+            res.end(viewerHtml)
+        } else {
+            res.writeHead(404)
+            res.end()
+        }
+    })
+    // 端口被占用等错误只打印出来，不能让整个进程因为调试工具而崩溃
+    server.on('error', err => {
+        console.error(err.code === 'EADDRINUSE' ? `依赖图服务启动失败：端口 ${port} 已被占用` : `依赖图服务出错：${err.message}`)
+        disable()
+    })
+    server.on('close', disable)
+    server.listen(port, host)
+    return server
+}
+
+module.exports = {
+    enableInspector,
+    getTargetDeps,
+    getEffectDeps,
+    dumpGraph,
+    toDot,
+    serveGraph,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { effect, stop, getProxyObj } = require('./对象响应系统的模拟')
+    const { computed } = require('./实现计算属性')
+
+    const obj = getProxyObj({ foo: 1, bar: 2, list: [1, 2] })
+    const sum = computed(() => obj.foo + obj.bar, { name: 'sum' })
+    const render = effect(() => {
+        console.log(sum.value, obj.list.length)
+    }, { name: 'render' })
+    const logger = effect(() => {
+        for (const key in obj) obj[key]
+    }, { name: 'logger' })
+
+    // 开启检查之前创建的副作用函数也会出现在依赖图中
+    enableInspector()
+    console.log(getTargetDeps(obj))
+    console.log(getEffectDeps(sum).map(({ type, key }) => `${type}.${key}`))
+    console.log(toDot())
+
+    // 停止之后不再出现在依赖图中
+    stop(logger)
+    stop(render)
+    console.log(JSON.stringify(dumpGraph()))
+
+    // 端口被占用时打印错误，而不是抛出未处理的 error 事件
+    const first = serveGraph({ port: 0 })
+    first.on('listening', () => {
+        const second = serveGraph({ port: first.address().port })
+        second.on('error', () => first.close())
+    })
+}
@@ -0,0 +1,386 @@
+// 增量查询：query(list).where(fn).orderBy(key).groupBy(key).indexBy(key) 在响应式数组上建立一个增量维护的视图
+// computed(() => list.filter(...).sort(...)) 在任何一个元素变化时都要重新执行整个流水线，数据量大时很慢
+// 这里通过 addMutationListener 接收 getProxyObj 和数组方法产生的修改（索引的 ADD / SET / DELETE、length 的变化，以及行对象自身属性的修改），
+// 只重新计算受影响的行，再用二分查找把它们从结果中移除、插入到新的位置
+// 1. 每个索引（槽位）对应一个条目，记录行、是否满足条件，以及排序、分组、索引用的键，移除时用记录的键找到原来的位置
+// 2. 修改只标记脏的槽位和行，读取结果时才统一处理，这样一次 splice 产生的多次修改只处理一次
+//    需要处理的槽位超过总数的 1/8 时（例如在数组开头插入元素，后面的元素都移动了），直接整体重建更快
+// 3. 结果按照 orderBy 的键排序，键相同时按照在数组中的位置，与稳定的 sort 结果一致，没有 orderBy 时保持数组的顺序
+// 条件函数和键函数接收的是原始的行对象，只能依赖行对象自身的属性，嵌套对象内部的修改不会被感知，需要替换整个属性
+// 结果是只读的：rows 是数组，groups 是 分组的键 --> 行的数组，index 是 键 --> 行（键重复时是排在最后的行），
+// 行是响应式对象；读取 rows、groups、index 的副作用函数和计算属性在结果变化时会重新执行，Map 的遍历顺序不保证
+
+const { getProxyObj, toRaw, shallowReadonly, addMutationListener, getCurrentScope, onScopeDispose } = require('./对象响应系统的模拟')
+const { ref } = require('./实现ref')
+
+const isObject = value => typeof value === 'object' && value !== null
+const isIndex = key => typeof key === 'string' && /^(0|[1-9]\d*)$/.test(key)
+
+// 超过这个比例的槽位需要处理时整体重建
+const REBUILD_RATIO = 1 / 8
+
+// 键可以是属性名，也可以是函数
+const toKeyFn = key => typeof key === 'function' ? key : row => row == null ? undefined : row[key]
+
+// 不同类型的值先按类型排序：数字（包括日期）、字符串、布尔值，其他对象之间视为相等
+function typeRank(value) {
+    if (typeof value === 'number' || typeof value === 'bigint') return 0
+    if (typeof value === 'string') return 1
+    if (typeof value === 'boolean') return 2
+    return 3
+}
+
+// 排序用的比较，必须是全序的，否则二分查找会找不到已经插入的条目
+// null、undefined 和 NaN（包括无效的日期）排在最后
+function compareValues(a, b) {
+    if (a instanceof Date) a = a.getTime()
+    if (b instanceof Date) b = b.getTime()
+    if (a === b) return 0
+    const aMissing = a == null || a !== a
+    const bMissing = b == null || b !== b
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1
+    const rank = typeRank(a)
+    if (rank !== typeRank(b)) return rank - typeRank(b)
+    if (rank === 3) return 0
+    return a < b ? -1 : a > b ? 1 : 0
+}
+
+function query(source) {
+    const raw = toRaw(source)
+    if (!Array.isArray(raw)) throw new TypeError('query 只能用于数组')
+
+    const config = { where: [], orderBy: [], groupBy: null, indexBy: null }
+    // 槽位 i 对应的条目 { index, row, hole, matched, value, sortKeys, groupKey, indexKey }
+    let slots = []
+    // 原始行对象 --> 它所在的条目，同一个对象可以出现在多个位置
+    const rowEntries = new Map()
+    // 排好序的结果：entries 用于二分查找，rows 是对外的行
+    let result = null
+    // 分组的键 --> { entries, rows }
+    let groups = null
+    // 索引的键 --> { entries, rows }，rows 的最后一个是对外的值
+    let indexBuckets = null
+    const groupsMap = new Map()
+    const indexMap = new Map()
+    const views = {
+        rows: null,
+        groups: shallowReadonly(groupsMap),
+        index: shallowReadonly(indexMap),
+    }
+
+    let built = false
+    let needsRebuild = false
+    const dirtySlots = new Set()
+    const dirtyEntries = new Set()
+    // 上次处理之后数组最短时的长度，数组先变短再变长时，中间被截断的槽位也需要重新读取
+    let minLength = Infinity
+    let dirty = false
+    let removeListener = null
+    // 读取结果的副作用函数依赖这个版本号，结果从干净变成脏时增加
+    const version = ref(0)
+
+    function compareEntries(a, b) {
+        for (let i = 0; i < config.orderBy.length; i++) {
+            const res = compareValues(a.sortKeys[i], b.sortKeys[i])
+            if (res) return config.orderBy[i].desc ? -res : res
+        }
+        return a.index - b.index
+    }
+
+    function findPosition(list, entry) {
+        let start = 0
+        let end = list.entries.length
+        while (start < end) {
+            const middle = (start + end) >>> 1
+            if (compareEntries(list.entries[middle], entry) < 0) {
+                start = middle + 1
+            } else {
+                end = middle
+            }
+        }
+        return start
+    }
+
+    function insertSorted(list, entry) {
+        const position = findPosition(list, entry)
+        list.entries.splice(position, 0, entry)
+        list.rows.splice(position, 0, entry.value)
+    }
+
+    function removeSorted(list, entry) {
+        const position = findPosition(list, entry)
+        if (list.entries[position] !== entry) throw new Error('增量查询的内部状态不一致')
+        list.entries.splice(position, 1)
+        list.rows.splice(position, 1)
+    }
+
+    // 计算条目是否满足条件以及各个键，条件和键函数接收原始的行对象，这样不会被外层的副作用函数追踪
+    function evaluate(entry) {
+        const { row } = entry
+        entry.matched = !entry.hole && config.where.every(fn => fn(row))
+        if (!entry.matched) return
+        entry.value = isObject(row) ? getProxyObj(row) : row
+        entry.sortKeys = config.orderBy.map(({ fn }) => fn(row))
+        if (config.groupBy) entry.groupKey = config.groupBy(row)
+        if (config.indexBy) entry.indexKey = config.indexBy(row)
+    }
+
+    function attach(entry) {
+        insertSorted(result, entry)
+        if (groups) {
+            let group = groups.get(entry.groupKey)
+            if (!group) {
+                group = { entries: [], rows: [] }
+                groups.set(entry.groupKey, group)
+                groupsMap.set(entry.groupKey, shallowReadonly(group.rows))
+            }
+            insertSorted(group, entry)
+        }
+        if (indexBuckets) {
+            let bucket = indexBuckets.get(entry.indexKey)
+            if (!bucket) {
+                bucket = { entries: [], rows: [] }
+                indexBuckets.set(entry.indexKey, bucket)
+            }
+            insertSorted(bucket, entry)
+            indexMap.set(entry.indexKey, bucket.rows[bucket.rows.length - 1])
+        }
+    }
+
+    function detach(entry) {
+        removeSorted(result, entry)
+        if (groups) {
+            const group = groups.get(entry.groupKey)
+            removeSorted(group, entry)
+            if (!group.entries.length) {
+                groups.delete(entry.groupKey)
+                groupsMap.delete(entry.groupKey)
+            }
+        }
+        if (indexBuckets) {
+            const bucket = indexBuckets.get(entry.indexKey)
+            removeSorted(bucket, entry)
+            if (bucket.entries.length) {
+                indexMap.set(entry.indexKey, bucket.rows[bucket.rows.length - 1])
+            } else {
+                indexBuckets.delete(entry.indexKey)
+                indexMap.delete(entry.indexKey)
+            }
+        }
+    }
+
+    function link(entry) {
+        if (entry.hole || !isObject(entry.row)) return
+        if (!rowEntries.has(entry.row)) rowEntries.set(entry.row, new Set())
+        rowEntries.get(entry.row).add(entry)
+    }
+
+    function unlink(entry) {
+        const entries = rowEntries.get(entry.row)
+        if (!entries) return
+        entries.delete(entry)
+        if (!entries.size) rowEntries.delete(entry.row)
+    }
+
+    // 从原始数组读取槽位的当前值，数组的空位与 filter 一样被跳过
+    function createEntry(index) {
+        const entry = { index, row: raw[index], hole: !(index in raw), matched: false, value: undefined, sortKeys: null, groupKey: undefined, indexKey: undefined }
+        link(entry)
+        return entry
+    }
+
+    // 槽位的值或者行对象的属性变化了，重新计算并移动到新的位置
+    function updateEntry(entry) {
+        if (entry.matched) detach(entry)
+        const row = raw[entry.index]
+        const hole = !(entry.index in raw)
+        if (row !== entry.row || hole !== entry.hole) {
+            unlink(entry)
+            entry.row = row
+            entry.hole = hole
+            link(entry)
+        }
+        evaluate(entry)
+        if (entry.matched) attach(entry)
+    }
+
+    function rebuild() {
+        rowEntries.clear()
+        groupsMap.clear()
+        indexMap.clear()
+        slots = Array.from({ length: raw.length }, (_, i) => createEntry(i))
+        slots.forEach(evaluate)
+        const entries = slots.filter(entry => entry.matched).sort(compareEntries)
+        result = { entries, rows: entries.map(entry => entry.value) }
+        views.rows = shallowReadonly(result.rows)
+        groups = config.groupBy ? new Map() : null
+        indexBuckets = config.indexBy ? new Map() : null
+        // 已经排好序，依次追加到分组中即可
+        entries.forEach(entry => {
+            if (groups) {
+                if (!groups.has(entry.groupKey)) {
+                    const group = { entries: [], rows: [] }
+                    groups.set(entry.groupKey, group)
+                    groupsMap.set(entry.groupKey, shallowReadonly(group.rows))
+                }
+                const group = groups.get(entry.groupKey)
+                group.entries.push(entry)
+                group.rows.push(entry.value)
+            }
+            if (indexBuckets) {
+                if (!indexBuckets.has(entry.indexKey)) indexBuckets.set(entry.indexKey, { entries: [], rows: [] })
+                const bucket = indexBuckets.get(entry.indexKey)
+                bucket.entries.push(entry)
+                bucket.rows.push(entry.value)
+                indexMap.set(entry.indexKey, entry.value)
+            }
+        })
+        needsRebuild = false
+    }
+
+    function onMutation({ target, key, newValue }) {
+        if (target === raw) {
+            if (key === 'length') {
+                minLength = Math.min(minLength, newValue)
+            } else if (isIndex(key)) {
+                dirtySlots.add(Number(key))
+            } else {
+                return
+            }
+        } else if (rowEntries.has(target)) {
+            rowEntries.get(target).forEach(entry => dirtyEntries.add(entry))
+        } else {
+            return
+        }
+        if (!dirty) {
+            dirty = true
+            version.value++
+        }
+    }
+
+    // 处理积累的修改
+    function flush() {
+        if (!built) {
+            built = true
+            removeListener = addMutationListener(onMutation)
+            needsRebuild = true
+        }
+        if (!needsRebuild && dirty) {
+            const changes = dirtySlots.size + dirtyEntries.size + Math.abs(raw.length - slots.length) + Math.max(0, slots.length - minLength)
+            if (changes > REBUILD_RATIO * raw.length) needsRebuild = true
+        }
+        if (needsRebuild) {
+            rebuild()
+        } else if (dirty) {
+            const keep = Math.min(minLength, raw.length)
+            while (slots.length > keep) {
+                const entry = slots.pop()
+                if (entry.matched) detach(entry)
+                unlink(entry)
+            }
+            while (slots.length < raw.length) {
+                const entry = createEntry(slots.length)
+                slots.push(entry)
+                evaluate(entry)
+                if (entry.matched) attach(entry)
+            }
+            dirtySlots.forEach(index => {
+                if (index < slots.length) dirtyEntries.add(slots[index])
+            })
+            dirtyEntries.forEach(entry => {
+                // 槽位已经被移除了
+                if (slots[entry.index] === entry) updateEntry(entry)
+            })
+        }
+        dirtySlots.clear()
+        dirtyEntries.clear()
+        minLength = Infinity
+        dirty = false
+    }
+
+    // 修改查询条件之后，下次读取时整体重建
+    function reconfigure(fn) {
+        fn()
+        needsRebuild = true
+        if (built) version.value++
+        return q
+    }
+
+    function read(name) {
+        // 建立对版本号的依赖
+        version.value
+        flush()
+        return views[name]
+    }
+
+    const q = {
+        // 多次调用时需要同时满足
+        where: fn => reconfigure(() => config.where.push(fn)),
+        // 多次调用时依次作为次要的排序键
+        orderBy: (key, direction = 'asc') => reconfigure(() => config.orderBy.push({ fn: toKeyFn(key), desc: direction === 'desc' })),
+        groupBy: key => reconfigure(() => {
+            config.groupBy = toKeyFn(key)
+        }),
+        indexBy: key => reconfigure(() => {
+            config.indexBy = toKeyFn(key)
+        }),
+        get rows() {
+            return read('rows')
+        },
+        get groups() {
+            return read('groups')
+        },
+        get index() {
+            return read('index')
+        },
+        // 停止接收修改，之后读取时会重新建立
+        stop() {
+            if (removeListener) removeListener()
+            removeListener = null
+            built = false
+            slots = []
+            rowEntries.clear()
+        },
+    }
+    if (getCurrentScope()) onScopeDispose(q.stop)
+    return q
+}
+
+module.exports = {
+    compareValues,
+    query,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { effect } = require('./对象响应系统的模拟')
+
+    const products = getProxyObj([
+        { id: 1, name: '键盘', category: '外设', price: 299, stock: 3 },
+        { id: 2, name: '显示器', category: '显示', price: 1299, stock: 0 },
+        { id: 3, name: '鼠标', category: '外设', price: 99, stock: 10 },
+        { id: 4, name: '投影仪', category: '显示', price: 2999, stock: 2 },
+    ])
+    const inStock = query(products)
+        .where(product => product.stock > 0)
+        .orderBy('price', 'desc')
+        .groupBy('category')
+        .indexBy('id')
+
+    effect(() => {
+        console.log('有货：', inStock.rows.map(product => `${product.name}(${product.price})`).join(' '))
+    })
+    effect(() => {
+        console.log('分组：', [...inStock.groups].map(([category, rows]) => `${category}: ${rows.length}`).join('，'))
+    })
+
+    products[1].stock = 5
+    products.push({ id: 5, name: '耳机', category: '外设', price: 599, stock: 1 })
+    products[0].price = 99
+    products.splice(2, 1)
+    console.log(inStock.index.get(2).name, inStock.index.has(3))
+
+    // 价格无效（NaN）时同样可以排序，NaN 与 null 一样排在升序的最后，这里是降序，所以排在最前面
+    products[0].price = NaN
+    products[0].price = 399
+}
@@ -0,0 +1,194 @@
+// 异步计算属性：依赖变化时重新执行异步的 getter，暴露响应式的 value、loading 和 error
+// 实现watch.js 的示例中需要手动通过 onInvalidate 维护 expired 标志，这里统一处理：
+// 依赖变化时立即通过 AbortSignal 取消上一次执行，并且过期的结果永远不会覆盖新的结果
+
+const { effect, stop, batch } = require('./对象响应系统的模拟')
+const { queuePreFlushCb } = require('./实现调度器')
+const { isRef, ref, shallowRef } = require('./实现ref')
+
+// 同步抛出的错误也转换成被拒绝的 promise
+function invoke(fn, ...args) {
+    try {
+        return Promise.resolve(fn(...args))
+    } catch (err) {
+        return Promise.reject(err)
+    }
+}
+
+// run(signal, onInvalidate) 返回 promise，每次执行（包括重试）都在副作用函数中进行，从而收集依赖
+// options：initialValue 初始值，debounce 依赖变化后等待的毫秒数，retry 失败后重试的次数，retryDelay 第一次重试前等待的毫秒数（之后每次翻倍）
+// staleWhileRevalidate 为 true 时，重新加载期间保留上一次的值，否则重置为初始值
+function createAsyncState(run, {
+    initialValue,
+    debounce = 0,
+    retry = 0,
+    retryDelay = 1000,
+    staleWhileRevalidate = false,
+    name = 'async',
+} = {}) {
+    const value = shallowRef(initialValue)
+    const loading = ref(false)
+    const error = shallowRef(null)
+    // 当前这次加载的 AbortController
+    let controller = null
+    // 防抖和重试共用的定时器
+    let timer = null
+    // 每次加载都有一个递增的 id，结果返回时 id 已经不是最新的，说明已经过期了
+    let currentId = 0
+
+    // 取消正在进行的加载，它的结果会被丢弃
+    function cancel() {
+        clearTimeout(timer)
+        timer = null
+        currentId++
+        if (controller) {
+            controller.abort()
+            controller = null
+        }
+    }
+
+    // 当前这次加载的 signal 和 onInvalidate，由副作用函数传给 run
+    let signal = null
+    let onInvalidate = null
+
+    // 开始新的一次加载，状态的修改都在副作用函数之外进行，不会被当作依赖，也不会在收集依赖的过程中触发其他副作用函数
+    function load() {
+        cancel()
+        const id = currentId
+        const ctrl = controller = new AbortController()
+        signal = ctrl.signal
+        // 注册取消时执行的回调，与 watch 的 onInvalidate 用法相同
+        onInvalidate = fn => ctrl.signal.addEventListener('abort', fn, { once: true })
+        batch(() => {
+            loading.value = true
+            error.value = null
+            if (!staleWhileRevalidate) value.value = initialValue
+        })
+
+        // 每次尝试（包括重试）都通过副作用函数执行，重新收集依赖
+        const attempt = count => {
+            effectFn().then(res => {
+                if (id !== currentId) return
+                controller = null
+                batch(() => {
+                    value.value = res
+                    loading.value = false
+                })
+            }, err => {
+                if (id !== currentId) return
+                if (count < retry) {
+                    timer = setTimeout(() => attempt(count + 1), retryDelay * 2 ** count)
+                    return
+                }
+                controller = null
+                batch(() => {
+                    error.value = err
+                    loading.value = false
+                })
+            })
+        }
+        attempt(0)
+    }
+
+    // 副作用函数只执行 run 并收集依赖，返回 run 的 promise
+    const effectFn = effect(() => invoke(run, signal, onInvalidate), {
+        lazy: true,
+        name,
+        scheduler() {
+            // 依赖变化时立即取消正在进行的加载，然后在防抖时间之后或者下一次刷新时重新加载
+            cancel()
+            if (debounce > 0) {
+                timer = setTimeout(load, debounce)
+            } else {
+                queuePreFlushCb(load)
+            }
+        },
+    })
+    load()
+
+    return {
+        value,
+        loading,
+        error,
+        // 立即重新加载
+        refresh() {
+            if (effectFn.active) load()
+        },
+        // 停止观测依赖，并取消正在进行的加载
+        stop() {
+            stop(effectFn)
+            cancel()
+            loading.value = false
+        },
+    }
+}
+
+// 异步计算属性，getter(signal, onInvalidate) 在第一次 await 之前读取的响应式数据会被追踪
+function computedAsync(getter, options = {}) {
+    return createAsyncState(getter, { name: 'computedAsync', ...options })
+}
+
+// 读取数据源的值，数据源可以是 ref、getter 或者由它们组成的数组
+function readSource(source) {
+    if (isRef(source)) return source.value
+    if (typeof source === 'function') return source()
+    if (Array.isArray(source)) return source.map(readSource)
+    return source
+}
+
+// 异步资源，只追踪 source，source 变化时调用 fetcher(sourceValue, { signal, onInvalidate }) 重新加载
+function resource(source, fetcher, options = {}) {
+    return createAsyncState((signal, onInvalidate) => {
+        const input = readSource(source)
+        // fetcher 在微任务中执行，它读取的响应式数据不会被追踪，在此之前已经取消的话就不再执行
+        return Promise.resolve().then(() => {
+            if (signal.aborted) throw signal.reason
+            return fetcher(input, { signal, onInvalidate })
+        })
+    }, { name: 'resource', ...options })
+}
+
+module.exports = {
+    computedAsync,
+    resource,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { getProxyObj } = require('./对象响应系统的模拟')
+
+    // 模拟网络请求，支持通过 signal 取消
+    function fakeFetch(data, delay, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve(data), delay)
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer)
+                reject(new Error('aborted'))
+            })
+        })
+    }
+
+    const query = getProxyObj({ id: 1 })
+    const user = resource(() => query.id, (id, { signal, onInvalidate }) => {
+        onInvalidate(() => console.log(`取消请求 ${id}`))
+        // id 越小返回越慢，如果不取消，旧的结果会覆盖新的结果
+        return fakeFetch({ id, name: `user${id}` }, 100 / id, signal)
+    }, { staleWhileRevalidate: true })
+
+    effect(() => {
+        console.log('loading:', user.loading.value, 'value:', user.value.value)
+    })
+    setTimeout(() => {
+        query.id = 2
+    }, 10)
+
+    // 失败之后重试
+    let attempts = 0
+    const flaky = computedAsync(() => {
+        attempts++
+        return attempts < 3 ? Promise.reject(new Error('失败')) : Promise.resolve('成功')
+    }, { retry: 3, retryDelay: 10 })
+    setTimeout(() => {
+        console.log('重试次数:', attempts, flaky.value.value, flaky.error.value)
+    }, 200)
+}
@@ -0,0 +1,291 @@
+// 持久化：创建时从存储中恢复响应式对象，之后通过 deep 的 watch 观测需要保存的路径，变化时防抖写回存储
+// 存储适配器与 localStorage 的接口相同：getItem、setItem、removeItem，这里提供内存和文件系统两种实现
+// 默认的序列化器支持 Map、Set、Date 以及循环引用，保存的数据带有版本号，旧版本的数据可以通过 migrate 升级
+
+const fs = require('fs')
+const path = require('path')
+const { toRaw } = require('./对象响应系统的模拟')
+const { watch } = require('./实现watch')
+
+const isObject = value => typeof value === 'object' && value !== null
+
+// 将数据编码成 JSON 可以表示的结构：每个对象都编码成 { $id, $type, $value }，再次遇到同一个对象时编码成 { $ref }
+function encode(value, ids = new Map()) {
+    value = toRaw(value)
+    if (!isObject(value)) return value
+    if (ids.has(value)) return { $ref: ids.get(value) }
+    const $id = ids.size + 1
+    ids.set(value, $id)
+    if (value instanceof Date) return { $id, $type: 'Date', $value: value.toISOString() }
+    if (value instanceof Map) return { $id, $type: 'Map', $value: [...value].map(([k, v]) => [encode(k, ids), encode(v, ids)]) }
+    if (value instanceof Set) return { $id, $type: 'Set', $value: [...value].map(v => encode(v, ids)) }
+    if (Array.isArray(value)) return { $id, $type: 'Array', $value: Array.from(value, v => encode(v, ids)) }
+    const $value = {}
+    Object.keys(value).forEach(key => {
+        $value[key] = encode(value[key], ids)
+    })
+    return { $id, $type: 'Object', $value }
+}
+
+// encode 的逆过程，先创建对象并记录 $id，再解码其中的元素，这样循环引用可以指向已经创建的对象
+function decode(data, objects = new Map()) {
+    if (!isObject(data)) return data
+    if ('$ref' in data) return objects.get(data.$ref)
+    const { $id, $type, $value } = data
+    switch ($type) {
+        case 'Date':
+            objects.set($id, new Date($value))
+            break
+        case 'Map': {
+            const map = new Map()
+            objects.set($id, map)
+            $value.forEach(([k, v]) => map.set(decode(k, objects), decode(v, objects)))
+            break
+        }
+        case 'Set': {
+            const set = new Set()
+            objects.set($id, set)
+            $value.forEach(v => set.add(decode(v, objects)))
+            break
+        }
+        case 'Array': {
+            const arr = []
+            objects.set($id, arr)
+            $value.forEach(v => arr.push(decode(v, objects)))
+            break
+        }
+        default: {
+            const obj = {}
+            objects.set($id, obj)
+            Object.keys($value).forEach(key => {
+                obj[key] = decode($value[key], objects)
+            })
+        }
+    }
+    return objects.get($id)
+}
+
+const defaultSerializer = {
+    stringify: value => JSON.stringify(encode(value)),
+    parse: text => decode(JSON.parse(text)),
+}
+
+// 内存存储，主要用于测试，也可以传入已有的 Map 共享数据
+function createMemoryStorage(map = new Map()) {
+    return {
+        getItem: key => map.has(key) ? map.get(key) : null,
+        setItem: (key, value) => {
+            map.set(key, String(value))
+        },
+        removeItem: key => {
+            map.delete(key)
+        },
+    }
+}
+
+// 文件系统存储，每个 key 保存为 dir 目录下的一个文件
+function createFileStorage(dir) {
+    const getFile = key => path.join(dir, `${encodeURIComponent(key)}.json`)
+    return {
+        getItem: key => {
+            const file = getFile(key)
+            return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null
+        },
+        setItem: (key, value) => {
+            fs.mkdirSync(dir, { recursive: true })
+            // 先写入临时文件再重命名，写到一半时进程退出也不会损坏已有的数据
+            const file = getFile(key)
+            fs.writeFileSync(`${file}.tmp`, String(value))
+            fs.renameSync(`${file}.tmp`, file)
+        },
+        removeItem: key => {
+            fs.rmSync(getFile(key), { force: true })
+        },
+    }
+}
+
+// 路径使用 . 分隔，例如 'user.name'
+const toSegments = p => p.split('.')
+
+function getPath(obj, segments) {
+    return segments.reduce((value, key) => isObject(value) ? value[key] : undefined, obj)
+}
+
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]'
+
+// 在 obj 上设置路径对应的值，中间不存在的对象会被创建
+// merge 为 true 时，新旧值都是普通对象则逐个属性合并，这样没有保存的属性（例如 exclude 的路径）会保留原来的值
+// seen 记录已经合并过的对象，避免循环引用导致无限递归
+function setPath(obj, segments, value, merge = false, seen = new Set()) {
+    const last = segments[segments.length - 1]
+    const parent = segments.slice(0, -1).reduce((target, key) => {
+        if (!isObject(target[key])) target[key] = {}
+        return target[key]
+    }, obj)
+    if (merge && isPlainObject(value) && isPlainObject(toRaw(parent[last])) && !seen.has(value)) {
+        seen.add(value)
+        Object.keys(value).forEach(key => setPath(parent[last], [key], value[key], true, seen))
+    } else {
+        parent[last] = value
+    }
+}
+
+// 返回去掉路径对应的属性之后的对象，只复制路径上的对象，不会修改原来的数据
+function omitPath(obj, segments) {
+    const [key, ...rest] = segments
+    if (!isObject(obj) || !(key in obj)) return obj
+    const copy = Array.isArray(obj) ? [...obj] : { ...obj }
+    if (rest.length) {
+        copy[key] = omitPath(obj[key], rest)
+    } else {
+        delete copy[key]
+    }
+    return copy
+}
+
+// 持久化响应式对象 obj，options：
+// key：存储中使用的键，storage：存储适配器，serializer：{ stringify, parse }
+// include / exclude：需要保存 / 不需要保存的路径，version：数据的版本号，migrate(state, fromVersion)：升级旧版本的数据
+// debounce：防抖的毫秒数
+function persist(obj, {
+    key,
+    storage = createMemoryStorage(),
+    serializer = defaultSerializer,
+    include,
+    exclude = [],
+    version = 0,
+    migrate,
+    debounce = 100,
+} = {}) {
+    if (!key) throw new Error('persist 需要传入 key')
+    const includeSegments = include && include.map(toSegments)
+    const excludeSegments = exclude.map(toSegments)
+
+    // 取出需要保存的数据
+    function pick() {
+        const raw = toRaw(obj)
+        let state
+        if (includeSegments) {
+            state = {}
+            includeSegments.forEach(segments => {
+                const value = getPath(raw, segments)
+                if (value !== undefined) setPath(state, segments, value)
+            })
+        } else {
+            state = raw
+        }
+        return excludeSegments.reduce(omitPath, state)
+    }
+
+    function hydrate() {
+        let text
+        let saved
+        try {
+            text = storage.getItem(key)
+            if (text == null) return
+            saved = serializer.parse(text)
+        } catch (err) {
+            console.warn(`读取持久化数据 ${key} 失败，将忽略已保存的数据`, err)
+            return
+        }
+        let state = saved.state
+        if (saved.version !== version) {
+            if (!migrate) {
+                console.warn(`持久化数据 ${key} 的版本 ${saved.version} 与当前版本 ${version} 不一致，并且没有提供 migrate，将忽略已保存的数据`)
+                return
+            }
+            state = migrate(state, saved.version)
+        }
+        if (!isObject(state)) return
+        // 通过代理对象合并到 obj 上，依赖这些数据的副作用函数会正常更新
+        const paths = includeSegments || Object.keys(state).map(k => [k])
+        paths.forEach(segments => {
+            const value = getPath(state, segments)
+            if (value !== undefined) setPath(obj, segments, value, true)
+        })
+    }
+
+    let timer = null
+
+    // 立即写入存储
+    function flush() {
+        clearTimeout(timer)
+        timer = null
+        try {
+            storage.setItem(key, serializer.stringify({ version, state: pick() }))
+        } catch (err) {
+            console.error(`保存持久化数据 ${key} 失败`, err)
+        }
+    }
+
+    hydrate()
+
+    // 观测需要保存的路径，没有指定 include 时观测整个对象
+    const source = includeSegments
+        ? includeSegments.map(segments => () => getPath(obj, segments))
+        : obj
+    const unwatch = watch(source, () => {
+        clearTimeout(timer)
+        timer = setTimeout(flush, debounce)
+    }, { deep: true, name: `persist:${key}` })
+
+    return {
+        flush,
+        // 停止观测，还没有写入的修改会立即写入
+        stop() {
+            unwatch()
+            if (timer) flush()
+        },
+        // 删除已保存的数据
+        clear() {
+            clearTimeout(timer)
+            timer = null
+            storage.removeItem(key)
+        },
+    }
+}
+
+module.exports = {
+    persist,
+    createMemoryStorage,
+    createFileStorage,
+    defaultSerializer,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const os = require('os')
+    const { getProxyObj } = require('./对象响应系统的模拟')
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'persist-'))
+    const storage = createFileStorage(dir)
+    // 模拟旧版本保存的数据：版本 1 中 name 是一个字符串
+    storage.setItem('settings', defaultSerializer.stringify({ version: 1, state: { name: 'Tom Smith', theme: 'dark' } }))
+
+    const settings = getProxyObj({ user: { first: '', last: '' }, theme: 'light', tags: new Set(), token: 'secret' })
+    const persisted = persist(settings, {
+        key: 'settings',
+        storage,
+        exclude: ['token'],
+        version: 2,
+        migrate(state, fromVersion) {
+            if (fromVersion === 1) {
+                const [first, last] = state.name.split(' ')
+                return { user: { first, last }, theme: state.theme }
+            }
+            return state
+        },
+    })
+    console.log(settings.user.first, settings.theme)
+
+    settings.tags.add('vue')
+    settings.updatedAt = new Date(0)
+    // 循环引用
+    settings.user.self = settings.user
+    setTimeout(() => {
+        const saved = defaultSerializer.parse(storage.getItem('settings'))
+        console.log(saved.version, saved.state.tags, saved.state.updatedAt, saved.state.user.self === saved.state.user, 'token' in saved.state)
+        persisted.stop()
+        fs.rmSync(dir, { recursive: true, force: true })
+    }, 200)
+}
@@ -0,0 +1,215 @@
+// 撤销重做：通过 addMutationListener 记录响应式对象树中的每一次修改（包括数组的 push、splice 等方法）
+// 同一个 tick 中的修改，或者在 group 中进行的修改，合并成一个撤销步骤，撤销和重做都通过代理对象重新执行，副作用函数会正常更新
+
+const { TriggerType, addMutationListener, revertMutation, batch, getProxyObj, toRaw } = require('./对象响应系统的模拟')
+const { computed } = require('./实现计算属性')
+
+// 收集对象树中的所有原始对象，包括数组、Map 和 Set 中的元素
+function collectNodes(value, nodes) {
+    value = toRaw(value)
+    if (typeof value !== 'object' || value === null || nodes.has(value)) return nodes
+    nodes.add(value)
+    if (value instanceof Map) {
+        value.forEach((v, k) => {
+            collectNodes(k, nodes)
+            collectNodes(v, nodes)
+        })
+    } else if (value instanceof Set) {
+        value.forEach(v => collectNodes(v, nodes))
+    } else {
+        Object.keys(value).forEach(key => collectNodes(value[key], nodes))
+    }
+    return nodes
+}
+
+// 通过代理对象重新执行一次修改
+function replayMutation({ target, key, type, newValue }) {
+    const obj = getProxyObj(target)
+    if (target instanceof Map || target instanceof Set) {
+        if (type === TriggerType.CLEAR) {
+            obj.clear()
+        } else if (type === TriggerType.DELETE) {
+            obj.delete(key)
+        } else {
+            target instanceof Map ? obj.set(key, newValue) : obj.add(key)
+        }
+    } else if (type === TriggerType.DELETE) {
+        delete obj[key]
+    } else {
+        obj[key] = newValue
+    }
+}
+
+// 为响应式对象 root 创建历史记录，options.maxSize 是最多保留的撤销步骤数
+function createHistory(root, { maxSize = 100 } = {}) {
+    // 已经提交的撤销步骤，每一步是一组修改
+    const stack = []
+    // 当前正在收集的修改
+    let current = []
+    // 显式分组的嵌套深度
+    let groupDepth = 0
+    // 撤销或重做时产生的修改不需要记录
+    let replaying = false
+    // 对象树中的所有原始对象，修改了对象类型的值之后需要重新收集
+    let nodes = null
+    // index 是已经生效的撤销步骤数，size 是撤销步骤总数，使用响应式数据保存，这样 canUndo 和 canRedo 也是响应式的
+    const state = getProxyObj({ index: 0, size: 0 })
+
+    const isObject = value => typeof value === 'object' && value !== null
+
+    const stopListening = addMutationListener(mutation => {
+        if (replaying) return
+        if (!nodes) nodes = collectNodes(root, new Set())
+        if (!nodes.has(mutation.target)) return
+        // 对象树的结构可能变化了，下次重新收集
+        if (isObject(mutation.newValue) || isObject(mutation.oldValue) || mutation.type === TriggerType.CLEAR) {
+            nodes = null
+        }
+        if (!current.length && !groupDepth) {
+            // 同一个 tick 中的修改合并成一步，在微任务中提交
+            Promise.resolve().then(() => {
+                if (!groupDepth) commit()
+            })
+        }
+        current.push(mutation)
+    })
+
+    // 提交正在收集的修改，新的修改会丢弃可以重做的步骤
+    function commit() {
+        if (!current.length) return
+        stack.length = state.index
+        stack.push(current)
+        current = []
+        // 超过最大步骤数时丢弃最早的步骤
+        if (stack.length > maxSize) stack.splice(0, stack.length - maxSize)
+        batch(() => {
+            state.size = stack.length
+            state.index = stack.length
+        })
+    }
+
+    // 在 fn 中进行的所有修改合并成一个撤销步骤
+    function group(fn) {
+        // 分组之前的修改单独作为一步
+        if (!groupDepth) commit()
+        groupDepth++
+        try {
+            return fn()
+        } finally {
+            groupDepth--
+            if (!groupDepth) commit()
+        }
+    }
+
+    // 在批量更新中重新执行修改，副作用函数只会在一步完成之后执行一次，不会看到中间状态
+    function replay(fn) {
+        replaying = true
+        try {
+            batch(fn)
+        } finally {
+            replaying = false
+            nodes = null
+        }
+    }
+
+    function undo() {
+        commit()
+        if (!state.index) return
+        const mutations = stack[state.index - 1]
+        replay(() => {
+            for (let i = mutations.length - 1; i >= 0; i--) {
+                revertMutation(mutations[i], true)
+            }
+            state.index--
+        })
+    }
+
+    function redo() {
+        commit()
+        if (state.index >= stack.length) return
+        replay(() => {
+            stack[state.index].forEach(replayMutation)
+            state.index++
+        })
+    }
+
+    // 时间旅行：撤销或重做到第 index 步，0 表示撤销全部
+    function jumpTo(index) {
+        commit()
+        index = Math.max(0, Math.min(index, stack.length))
+        while (state.index > index) undo()
+        while (state.index < index) redo()
+    }
+
+    // 丢弃所有历史记录
+    function clear() {
+        current = []
+        stack.length = 0
+        batch(() => {
+            state.index = 0
+            state.size = 0
+        })
+    }
+
+    return {
+        canUndo: computed(() => state.index > 0),
+        canRedo: computed(() => state.index < state.size),
+        get index() {
+            return state.index
+        },
+        get size() {
+            return state.size
+        },
+        undo,
+        redo,
+        jumpTo,
+        group,
+        commit,
+        clear,
+        // 停止记录
+        stop: stopListening,
+    }
+}
+
+module.exports = {
+    createHistory,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { effect } = require('./对象响应系统的模拟')
+
+    const doc = getProxyObj({ title: 'Untitled', todos: [] })
+    const history = createHistory(doc)
+    effect(() => {
+        console.log(doc.title, doc.todos.map(todo => todo.text).join(','), '可撤销:', history.canUndo.value, '可重做:', history.canRedo.value)
+    })
+
+    // 在 group 中的修改是一步
+    history.group(() => {
+        doc.title = 'Todo'
+        doc.todos.push({ text: 'a' })
+    })
+    // 同一个 tick 中的修改也是一步
+    doc.todos.push({ text: 'b' })
+    doc.todos[0].text = 'A'
+
+    Promise.resolve().then(() => {
+        history.undo()
+        history.undo()
+        history.redo()
+        history.jumpTo(2)
+
+        // 通过 length 清空数组，撤销之后被截掉的元素也会恢复，而不是留下空位
+        const list = getProxyObj([1, 2, 3])
+        const listHistory = createHistory(list)
+        listHistory.group(() => {
+            list.length = 0
+        })
+        console.log('清空之后：', list)
+        listHistory.undo()
+        console.log('撤销之后：', list)
+        listHistory.redo()
+        console.log('重做之后：', list)
+    })
+}
@@ -0,0 +1,614 @@
+// 数据校验：validated(schema, initial) 返回一个代理对象，写入时按照声明式的 schema 校验，并维护响应式的错误信息
+// schema 的写法与组件的 props 选项相同，字段的规则可以简写成构造函数，完整的规则可以声明：
+//   type                         构造函数或者构造函数的数组，例如 String、[Number, String]
+//   required                     值为 null、undefined 或者空字符串时报错，不是必填的字段为空时跳过其他规则
+//   min / max                    数字的大小，字符串和数组的长度
+//   pattern                      字符串需要匹配的正则表达式
+//   validator(value, root)       自定义校验，返回 false 或者错误信息表示没有通过，可以读取 root 上的其他字段
+//   asyncValidator(value, root)  异步校验，返回 Promise，同步的规则都通过之后才会执行，值变化之后之前的结果作废
+//   message                      覆盖默认的错误信息
+//   properties / items           嵌套对象的字段、数组元素的规则
+// 代理对象以及从它读取到的嵌套对象和数组上有以下属性，都通过响应式数据计算，可以在副作用函数和计算属性中使用：
+//   $errors      错误树，结构与数据相同，叶子是错误信息或者 null，对象和数组自身的错误在 $error 中
+//   $touched     结构与数据相同，写入过的字段为 true
+//   $isValid     没有错误，也没有进行中的异步校验
+//   $isDirty     与初始值不同
+//   $pending     有进行中的异步校验
+//   $touch(key)  标记字段被访问过（例如输入框失去焦点时）
+//   $validate()  标记所有字段，等待异步校验完成，返回是否通过
+// 根对象上还有 $reset() 恢复初始值、$dispose() 停止校验
+// 每个字段有自己的校验副作用函数，只有写入的字段（以及 validator 读取了它的字段）会重新校验
+// 写入经过响应式数据的 set 拦截函数，通过 interceptWrites 注册的拦截器处理，直接写入响应式数据也会校验
+// mode 为 'flag'（默认）时无效的值照常写入，只记录错误；为 'reject' 时无效的写入被忽略并给出警告，
+// 拒绝时只检查写入的值本身，异步校验以及其他字段变化导致的错误仍然只记录
+
+const {
+    effect,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    getProxyObj,
+    toRaw,
+    batch,
+    interceptWrites,
+    callWithErrorHandling,
+    ErrorTypes,
+} = require('./对象响应系统的模拟')
+const { toPointer } = require('./实现JSON补丁')
+
+const isObject = value => typeof value === 'object' && value !== null
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key)
+const typeOf = value => Object.prototype.toString.call(value).slice(8, -1)
+const isPlainObject = value => typeOf(value) === 'Object'
+const isIndex = key => typeof key === 'string' && /^(0|[1-9]\d*)$/.test(key)
+
+// 会修改数组的方法，reject 模式下先在副本上执行并校验
+const arrayMutators = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'])
+
+function assertType(value, type) {
+    switch (type) {
+        case String:
+        case Number:
+        case Boolean:
+        case Symbol:
+        case BigInt:
+            return typeof value === type.name.toLowerCase()
+        case Object:
+            return isPlainObject(value)
+        case Array:
+            return Array.isArray(value)
+        case Function:
+            return typeof value === 'function'
+        default:
+            return value instanceof type
+    }
+}
+
+const getTypes = rule => rule.type == null ? [] : Array.isArray(rule.type) ? rule.type : [rule.type]
+
+// 规则可以简写成构造函数或者构造函数的数组，有 properties 的规则默认是 Object，有 items 的默认是 Array
+function normalizeRule(raw) {
+    const rule = typeof raw === 'function' || Array.isArray(raw) ? { type: raw } : { ...raw }
+    if (rule.properties) {
+        rule.type = rule.type || Object
+        rule.properties = Object.fromEntries(Object.keys(rule.properties).map(key => [key, normalizeRule(rule.properties[key])]))
+    }
+    if (rule.items) {
+        rule.type = rule.type || Array
+        rule.items = normalizeRule(rule.items)
+    }
+    return rule
+}
+
+function getChildRule(rule, key, container) {
+    if (!rule || typeof key !== 'string') return undefined
+    if (rule.properties) return hasOwn(rule.properties, key) ? rule.properties[key] : undefined
+    if (rule.items && Array.isArray(container) && isIndex(key)) return rule.items
+    return undefined
+}
+
+// 自定义校验的返回值：false 表示没有通过，字符串是错误信息，其他值表示通过
+function toMessage(res, rule) {
+    if (res === false) return rule.message || '校验失败'
+    if (typeof res === 'string') return res
+    return null
+}
+
+// 校验值本身的同步规则（不包括嵌套的字段），返回错误信息，通过时返回 null
+function checkRule(rule, value, root) {
+    const fail = text => rule.message || text
+    if (value == null || value === '') {
+        return rule.required ? fail('必填') : null
+    }
+    const types = getTypes(rule)
+    if (types.length && !types.some(type => assertType(value, type))) {
+        return fail(`应该是 ${types.map(type => type.name).join(' | ')} 类型，实际是 ${typeOf(value)}`)
+    }
+    const isNumber = typeof value === 'number'
+    const size = isNumber ? value : typeof value === 'string' || Array.isArray(value) ? value.length : undefined
+    if (size !== undefined && rule.min != null && size < rule.min) {
+        return fail(isNumber ? `不能小于 ${rule.min}` : `长度不能小于 ${rule.min}`)
+    }
+    if (size !== undefined && rule.max != null && size > rule.max) {
+        return fail(isNumber ? `不能大于 ${rule.max}` : `长度不能大于 ${rule.max}`)
+    }
+    if (rule.pattern && typeof value === 'string') {
+        // 带有 g 标志的正则表达式会记住上一次匹配的位置
+        rule.pattern.lastIndex = 0
+        if (!rule.pattern.test(value)) return fail('格式不正确')
+    }
+    if (rule.validator) return toMessage(rule.validator(value, root), rule)
+    return null
+}
+
+// 没有值可以校验时（例如父对象不存在）的错误树
+function emptyErrors(rule) {
+    if (rule.properties) {
+        const node = { $error: null }
+        Object.keys(rule.properties).forEach(key => {
+            node[key] = emptyErrors(rule.properties[key])
+        })
+        return node
+    }
+    return rule.items ? { $error: null } : null
+}
+
+// 校验 value 以及嵌套的字段（只包括同步的规则），返回错误树，用于 reject 模式下在写入之前检查
+function validateNode(rule, value, root) {
+    const error = checkRule(rule, value, root)
+    if (rule.properties) {
+        const node = { $error: error }
+        Object.keys(rule.properties).forEach(key => {
+            const child = rule.properties[key]
+            node[key] = isObject(value) ? validateNode(child, value[key], root) : emptyErrors(child)
+        })
+        return node
+    }
+    if (rule.items) {
+        const node = { $error: error }
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                node[i] = validateNode(rule.items, value[i], root)
+            }
+        }
+        return node
+    }
+    return error
+}
+
+function hasErrors(node) {
+    if (typeof node === 'string') return true
+    return isObject(node) && Object.keys(node).some(key => hasErrors(node[key]))
+}
+
+function firstError(node) {
+    if (!isObject(node)) return node || null
+    for (const key of Object.keys(node)) {
+        const error = firstError(node[key])
+        if (error) return error
+    }
+    return null
+}
+
+// touched 树：对象的字段和数组的元素展开，叶子的值都是 flag
+function createTouched(rule, value, flag) {
+    value = toRaw(value)
+    if (rule && rule.properties) {
+        return Object.fromEntries(Object.keys(rule.properties).map(key => [key, createTouched(rule.properties[key], isObject(value) ? value[key] : undefined, flag)]))
+    }
+    if (rule && rule.items) {
+        return Array.isArray(value) ? Object.fromEntries(value.map((item, i) => [i, createTouched(rule.items, item, flag)])) : {}
+    }
+    return flag
+}
+
+function getIn(obj, tokens) {
+    let node = obj
+    for (const token of tokens) {
+        if (!isObject(node)) return undefined
+        node = node[token]
+    }
+    return node
+}
+
+// a 是响应式数据时通过代理读取，这样比较的过程会被追踪
+function isEqual(a, b) {
+    if (Object.is(toRaw(a), toRaw(b))) return true
+    if (toRaw(a) instanceof Date && toRaw(b) instanceof Date) return toRaw(a).getTime() === toRaw(b).getTime()
+    if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && isEqual(a[key], b[key]))
+}
+
+function cloneDeep(value) {
+    value = toRaw(value)
+    if (Array.isArray(value)) return value.map(cloneDeep)
+    if (value instanceof Date) return new Date(value)
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.keys(value).map(key => [key, cloneDeep(value[key])]))
+    }
+    return value
+}
+
+// path 是 ancestor 本身或者它的后代
+function isDescendant(path, ancestor) {
+    return path === ancestor || path.startsWith(ancestor + '/')
+}
+
+function validated(schema, initial = {}, options = {}) {
+    const { mode = 'flag' } = options
+    if (mode !== 'flag' && mode !== 'reject') throw new TypeError(`未知的校验模式：${mode}`)
+    const rootRule = normalizeRule({ properties: schema })
+    const initialState = cloneDeep(initial)
+    const state = getProxyObj(cloneDeep(initialState))
+    const rawState = toRaw(state)
+    const errors = getProxyObj(emptyErrors(rootRule))
+    const touched = getProxyObj(createTouched(rootRule, initialState, false))
+    // 路径 --> true，进行中的异步校验
+    const pending = getProxyObj(new Map())
+    // 路径 --> 最近一次异步校验 { key, message, done, promise }
+    const asyncRuns = new Map()
+    // 原始对象 --> { parent, key, rule }，parent 是父对象的原始对象，用来计算对象现在的路径
+    const nodes = new WeakMap()
+    // 正在进行已经校验过的写入（数组方法整体校验过了，或者恢复初始值），拦截器不再逐个处理
+    let trusted = false
+    const scope = effectScope()
+
+    // 值没有变化时复用上一次的结果，否则开始新的异步校验，node.runner 是这个字段的校验函数
+    function runAsync(path, rule, value, node) {
+        const key = isObject(value) ? JSON.stringify(value) : value
+        const last = asyncRuns.get(path)
+        if (last && Object.is(last.key, key)) return last.message
+        const run = { key, message: null, done: false, promise: null }
+        asyncRuns.set(path, run)
+        pending.set(path, true)
+        run.promise = Promise.resolve()
+            .then(() => rule.asyncValidator(value, state))
+            .then(res => toMessage(res, rule), err => rule.message || (err && err.message) || '校验失败')
+            .then(message => {
+                run.done = true
+                // 值已经变化了，或者已经停止校验，这个结果作废
+                if (asyncRuns.get(path) !== run || !scope.active || !node.runner.active) return
+                run.message = message
+                // 重新校验这个字段会读取到缓存的结果，先写入错误再结束 pending，放在一个批量更新中，$isValid 不会短暂地变成 true
+                // 同步的 validator 在重新校验时抛出的错误交给错误处理函数，不会变成未处理的 Promise 拒绝
+                callWithErrorHandling(() => batch(() => {
+                    node.runner()
+                    pending.delete(path)
+                }), node.runner, ErrorTypes.EFFECT)
+            })
+        return null
+    }
+
+    function cancelAsync(path) {
+        if (!asyncRuns.has(path)) return
+        asyncRuns.delete(path)
+        pending.delete(path)
+    }
+
+    // 写入错误树，导航时读取原始数据，校验函数不会依赖错误树
+    function setError(tokens, error) {
+        const parent = getIn(toRaw(errors), tokens.slice(0, -1))
+        const key = tokens[tokens.length - 1]
+        if (isObject(parent) && parent[key] !== error) getProxyObj(parent)[key] = error
+    }
+
+    // 为 tokens 上的字段创建校验函数，它只校验字段自身的规则，对象的字段和数组的元素由各自的校验函数负责
+    // 所以一次写入只会重新校验被写入的字段，以及在 validator 中读取了它的字段
+    function watchNode(rule, tokens) {
+        const path = toPointer(tokens)
+        // 对象和数组自身的错误在 $error 中
+        const errorTokens = rule.properties || rule.items ? [...tokens, '$error'] : tokens
+        const node = { runner: null }
+        node.runner = effect(() => {
+            // 父对象不存在时不校验，与必填无关
+            const parent = tokens.length ? getIn(state, tokens.slice(0, -1)) : state
+            const exists = !tokens.length || isObject(parent)
+            const value = !tokens.length ? state : exists ? parent[tokens[tokens.length - 1]] : undefined
+            let error = exists ? checkRule(rule, value, state) : null
+            if (!error && exists && rule.asyncValidator) {
+                // 读取 pending 与这个路径建立联系
+                pending.has(path)
+                error = runAsync(path, rule, value, node)
+            } else {
+                cancelAsync(path)
+            }
+            setError(errorTokens, error)
+        }, { name: `validate ${path || '/'}` })
+        // 字段被移除（数组变短）或者停止校验时，取消进行中的异步校验
+        onScopeDispose(() => cancelAsync(path))
+        if (rule.properties) {
+            Object.keys(rule.properties).forEach(key => watchNode(rule.properties[key], [...tokens, key]))
+        }
+        if (rule.items) watchItems(rule.items, tokens)
+    }
+
+    // 数组的长度变化时，为新的元素创建校验函数，停止多出来的元素的校验函数
+    function watchItems(rule, tokens) {
+        // 每个元素的校验函数放在各自的作用域中，作用域属于当前的作用域，这样外层停止时它们也会停止
+        const parentScope = getCurrentScope()
+        const itemScopes = []
+        effect(() => {
+            const value = getIn(state, tokens)
+            const length = Array.isArray(value) ? value.length : 0
+            const node = getProxyObj(getIn(toRaw(errors), tokens))
+            while (itemScopes.length > length) {
+                itemScopes.pop().stop()
+                delete node[itemScopes.length]
+            }
+            while (itemScopes.length < length) {
+                const index = String(itemScopes.length)
+                node[index] = emptyErrors(rule)
+                const itemScope = parentScope.run(() => effectScope())
+                itemScope.run(() => watchNode(rule, [...tokens, index]))
+                itemScopes.push(itemScope)
+            }
+        }, { name: `validate ${toPointer(tokens) || '/'} items` })
+    }
+
+    function isPending(path) {
+        for (const key of pending.keys()) {
+            if (isDescendant(key, path)) return true
+        }
+        return false
+    }
+
+    // 对象现在的路径：数组的 shift、splice 等方法会移动元素，记录的位置不对时在父对象中重新查找
+    // reactive 为 true 时通过响应式数据读取，位置变化时依赖路径的副作用函数也会重新执行
+    function tokensOf(raw, reactive) {
+        const tokens = []
+        let node = raw
+        while (node !== rawState) {
+            const info = nodes.get(node)
+            if (!info) break
+            const parent = reactive ? getProxyObj(info.parent) : info.parent
+            if (toRaw(parent[info.key]) !== node) {
+                const key = Array.isArray(info.parent)
+                    ? String(parent.findIndex(value => toRaw(value) === node))
+                    : Object.keys(parent).find(key => toRaw(parent[key]) === node)
+                // 已经不在父对象中时保留原来的路径
+                if (key !== undefined && key !== '-1') info.key = key
+            }
+            tokens.unshift(info.key)
+            node = info.parent
+        }
+        return tokens
+    }
+
+    const ruleOf = raw => (nodes.get(raw) || {}).rule
+
+    // 登记对象树中的对象和数组，并注册写入拦截器，写入的值是对象时也会登记
+    function register(value, parent, key, rule) {
+        value = toRaw(value)
+        if (!isPlainObject(value) && !Array.isArray(value)) return
+        if (nodes.has(value)) {
+            Object.assign(nodes.get(value), { parent, key, rule })
+        } else {
+            nodes.set(value, { parent, key, rule })
+            interceptWrites(value, intercept)
+        }
+        registerChildren(value, rule)
+    }
+
+    function registerChildren(raw, rule) {
+        Object.keys(raw).forEach(key => register(raw[key], raw, key, getChildRule(rule, key, raw)))
+    }
+
+    function warnRejected(tokens, message) {
+        console.warn(`${toPointer(tokens) || '/'} 的值没有通过校验，这次修改被忽略：${message}`)
+    }
+
+    // 响应式数据的 set 和 deleteProperty 拦截函数调用的写入拦截器，无论通过哪个代理对象写入都会经过这里
+    // reject 模式下先校验写入的值，通过之后才写入，写入之后标记字段被访问过
+    function intercept(target, key, value, write, isDelete) {
+        const info = nodes.get(target)
+        if (trusted || !scope.active || !info || typeof key !== 'string') return write()
+        const childRule = getChildRule(info.rule, key, target)
+        if (!childRule) {
+            const res = write()
+            if (!isDelete) register(value, target, key, undefined)
+            return res
+        }
+        const tokens = [...tokensOf(target, false), key]
+        // 数组的空位在之后的校验中处理，这里只检查对象的字段
+        if (mode === 'reject' && !(isDelete && Array.isArray(target))) {
+            const message = firstError(validateNode(childRule, value, state))
+            if (message) {
+                warnRejected(tokens, message)
+                return true
+            }
+        }
+        const res = write()
+        if (!isDelete) register(value, target, key, childRule)
+        touchNode(tokens, childRule, value)
+        return res
+    }
+
+    // 标记 tokens 对应的字段以及它的所有后代被访问过
+    function touchNode(tokens, rule, value) {
+        const next = createTouched(rule, value, true)
+        if (!tokens.length) {
+            Object.keys(next).forEach(key => {
+                touched[key] = next[key]
+            })
+            return
+        }
+        let parent = touched
+        tokens.slice(0, -1).forEach(token => {
+            if (!isObject(parent[token])) parent[token] = {}
+            parent = parent[token]
+        })
+        parent[tokens[tokens.length - 1]] = next
+    }
+
+    async function validate(tokens, rule) {
+        touchNode(tokens, rule, getIn(state, tokens))
+        const path = toPointer(tokens)
+        // 等待过程中值可能再次变化并开始新的异步校验，所以循环等待
+        let runs
+        while ((runs = [...asyncRuns].filter(([key, run]) => isDescendant(key, path) && !run.done)).length) {
+            await Promise.all(runs.map(([, run]) => run.promise))
+        }
+        return !hasErrors(getIn(errors, tokens))
+    }
+
+    // 恢复初始值，初始值不需要校验，恢复之后重新登记对象树
+    function reset() {
+        batch(() => {
+            trusted = true
+            try {
+                const next = cloneDeep(initialState)
+                Object.keys(rawState).forEach(key => {
+                    if (!hasOwn(next, key)) delete state[key]
+                })
+                Object.keys(next).forEach(key => {
+                    state[key] = next[key]
+                })
+            } finally {
+                trusted = false
+            }
+            registerChildren(rawState, rootRule)
+            const nextTouched = createTouched(rootRule, rawState, false)
+            Object.keys(nextTouched).forEach(key => {
+                touched[key] = nextTouched[key]
+            })
+        })
+    }
+
+    // 原始对象 --> 包装的代理，包装的代理在读取时提供 $errors 等属性，写入直接交给响应式数据
+    const proxies = new WeakMap()
+
+    function wrap(target) {
+        const raw = toRaw(target)
+        if (proxies.has(raw)) return proxies.get(raw)
+        const getTokens = () => tokensOf(raw, true)
+
+        const meta = {
+            $errors: () => getIn(errors, getTokens()),
+            $touched: () => getIn(touched, getTokens()),
+            $pending: () => isPending(toPointer(getTokens())),
+            $isValid: () => {
+                const tokens = getTokens()
+                return !hasErrors(getIn(errors, tokens)) && !isPending(toPointer(tokens))
+            },
+            $isDirty: () => {
+                const tokens = getTokens()
+                return !isEqual(getIn(state, tokens), getIn(initialState, tokens))
+            },
+            $touch: () => key => touchNode([...getTokens(), String(key)], getChildRule(ruleOf(raw), String(key), target), target[key]),
+            $validate: () => () => validate(getTokens(), ruleOf(raw)),
+        }
+        if (raw === rawState) {
+            meta.$reset = () => reset
+            meta.$dispose = () => () => scope.stop()
+        }
+
+        const proxy = new Proxy(target, {
+            get(target, key) {
+                if (typeof key === 'string' && hasOwn(meta, key)) return meta[key]()
+                const value = target[key]
+                // 数组方法作为一次修改：reject 模式下先在副本上执行并校验，执行时其中的每一次写入不再单独处理
+                if (typeof value === 'function' && Array.isArray(target) && arrayMutators.has(key)) {
+                    return (...args) => {
+                        const rule = ruleOf(raw)
+                        const tokens = tokensOf(raw, false)
+                        if (mode === 'reject' && scope.active) {
+                            const copy = Array.from(raw)
+                            Array.prototype[key].apply(copy, args)
+                            const message = firstError(validateNode(rule || {}, copy, state))
+                            if (message) {
+                                warnRejected(tokens, message)
+                                return undefined
+                            }
+                        }
+                        const lastTrusted = trusted
+                        trusted = true
+                        let res
+                        try {
+                            res = value.apply(target, args)
+                        } finally {
+                            trusted = lastTrusted
+                        }
+                        // 元素的位置变化了，新的元素也需要登记
+                        registerChildren(raw, rule)
+                        if (rule && scope.active) touchNode(tokens, rule, target)
+                        return res
+                    }
+                }
+                const rawValue = toRaw(value)
+                if (typeof key === 'string' && (isPlainObject(rawValue) || Array.isArray(rawValue))) {
+                    if (!nodes.has(rawValue)) register(rawValue, raw, key, getChildRule(ruleOf(raw), key, raw))
+                    return wrap(value)
+                }
+                return value
+            },
+            set(target, key, value) {
+                if (typeof key === 'string' && hasOwn(meta, key)) {
+                    console.warn(`${key} 是保留的属性，不能修改`)
+                    return true
+                }
+                // 交给响应式数据的 set 拦截函数，由注册的写入拦截器校验
+                target[key] = value
+                return true
+            },
+        })
+        proxies.set(raw, proxy)
+        return proxy
+    }
+
+    nodes.set(rawState, { parent: null, key: null, rule: rootRule })
+    interceptWrites(rawState, intercept)
+    registerChildren(rawState, rootRule)
+    scope.run(() => watchNode(rootRule, []))
+    return wrap(state)
+}
+
+module.exports = {
+    validated,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { computed } = require('./实现计算属性')
+
+    const takenNames = ['admin', 'root']
+    const schema = {
+        username: {
+            type: String,
+            required: true,
+            min: 3,
+            pattern: /^[a-z]\w*$/,
+            asyncValidator: name => new Promise(resolve => {
+                setTimeout(() => resolve(!takenNames.includes(name) || `${name} 已经被注册了`), 20)
+            }),
+        },
+        password: { type: String, required: true, min: 6 },
+        confirm: { type: String, validator: (value, root) => value === root.password || '两次输入的密码不一致' },
+        age: { type: Number, min: 18, max: 120 },
+        tags: { items: { type: String, required: true }, max: 3 },
+        address: { properties: { city: { type: String, required: true }, zip: { pattern: /^\d{6}$/ } } },
+    }
+
+    const form = validated(schema, { username: '', password: '', confirm: '', tags: [], address: { city: '' } })
+    const canSubmit = computed(() => form.$isValid && form.$isDirty)
+    effect(() => {
+        console.log('可以提交：', canSubmit.value, '校验中：', form.$pending)
+    })
+    // 只显示访问过的字段的错误
+    effect(() => {
+        const shown = ['username', 'password', 'confirm', 'age']
+            .filter(key => form.$touched[key] && form.$errors[key])
+            .map(key => `${key}: ${form.$errors[key]}`)
+        console.log('错误：', shown.join('；') || '无')
+    })
+
+    form.username = 'admin'
+    form.password = '123456'
+    form.confirm = '12345'
+    form.address.city = '杭州'
+    form.tags.push('vue', '')
+    console.log(JSON.stringify(form.$errors.tags), form.address.$isValid)
+    form.tags.pop()
+    form.confirm = '123456'
+    setTimeout(async () => {
+        form.username = 'tom'
+        console.log('提交前校验：', await form.$validate())
+        form.$reset()
+        console.log('重置之后：', form.username === '', form.$isDirty, form.$touched.username)
+
+        // reject 模式：无效的写入被忽略
+        const settings = validated({ volume: { type: Number, min: 0, max: 100 }, tags: { items: String, max: 2 } }, { volume: 50, tags: [] }, { mode: 'reject' })
+        settings.volume = 120
+        settings.tags.push('a', 'b', 'c')
+        settings.tags.push('a')
+        console.log(settings.volume, JSON.stringify(settings.tags))
+
+        // 之前拿到的数组元素在 shift 之后仍然对应这个元素，而不是原来的位置
+        const team = validated({ members: { items: { properties: { name: { type: String, required: true } } } } }, { members: [{ name: '' }, { name: 'Tom' }] })
+        const tom = team.members[1]
+        team.members.shift()
+        console.log(tom.name, JSON.stringify(tom.$errors), tom.$isValid)
+        team.$dispose()
+        form.$dispose()
+    }, 50)
+}
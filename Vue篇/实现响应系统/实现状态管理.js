@@ -0,0 +1,369 @@
+// 状态管理：把分散的 getProxyObj 集中到 store 中，用法与 Pinia 类似
+// 选项式：defineStore(id, { state: () => ({}), getters: {}, actions: {} })
+// setup 式：defineStore(id, () => { 返回 ref/响应式对象（状态）、computed（getter）、函数（action） })
+// defineStore 返回 useStore，同一个 id 只会创建一个 store，store 直接读写状态、getter 和 action：store.count、store.double、store.increment()
+
+const {
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    getProxyObj,
+    isReactive,
+    toRaw,
+    batch,
+} = require('./对象响应系统的模拟')
+const { isRef } = require('./实现ref')
+const { computed } = require('./实现计算属性')
+const { watch } = require('./实现watch')
+
+// 通过 $subscribe 得到的修改类型
+const MutationType = {
+    // 直接修改状态，包括在 action 中修改
+    DIRECT: 'direct',
+    // $patch 传入对象
+    PATCH_OBJECT: 'patch object',
+    // $patch 传入函数
+    PATCH_FUNCTION: 'patch function',
+}
+
+// 所有已经创建的 store，key 是 id
+const stores = new Map()
+// 插件，在每个 store 创建之后执行
+const plugins = []
+
+// 添加插件 plugin({ store, id, options })，返回的对象中的属性会添加到 store 上，只对之后创建的 store 生效
+function addStorePlugin(plugin) {
+    plugins.push(plugin)
+}
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key)
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]'
+
+// 计算属性通过内部副作用函数的 computed 选项识别
+const isComputed = value => !!(value && value.effect && value.effect.options && value.effect.options.computed)
+
+// 深拷贝状态，用于 $reset，ref 拷贝的是它的值，响应式数据拷贝的是原始数据
+function cloneDeep(value) {
+    value = toRaw(isRef(value) ? value.value : value)
+    if (Array.isArray(value)) return value.map(cloneDeep)
+    if (value instanceof Map) return new Map([...value].map(([k, v]) => [k, cloneDeep(v)]))
+    if (value instanceof Set) return new Set([...value].map(cloneDeep))
+    if (value instanceof Date) return new Date(value)
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.keys(value).map(key => [key, cloneDeep(value[key])]))
+    }
+    return value
+}
+
+// 把 patch 合并到响应式对象上，两边都是普通对象时递归合并，其他值直接替换
+function mergeReactiveObjects(target, patch) {
+    Object.keys(patch).forEach(key => {
+        const value = patch[key]
+        const current = target[key]
+        if (isPlainObject(toRaw(value)) && isPlainObject(toRaw(current))) {
+            mergeReactiveObjects(current, value)
+        } else {
+            target[key] = value
+        }
+    })
+    return target
+}
+
+// 执行订阅回调，在组件或者其他作用域中订阅时，作用域停止后自动取消订阅（detached 为 true 时除外）
+function addSubscription(subscriptions, callback, detached) {
+    subscriptions.add(callback)
+    const remove = () => subscriptions.delete(callback)
+    if (!detached && getCurrentScope()) onScopeDispose(remove)
+    return remove
+}
+
+function createStore(id, setupOrOptions) {
+    const isSetupStore = typeof setupOrOptions === 'function'
+    const options = isSetupStore ? {} : setupOrOptions
+    // store 中创建的 computed 和 watch 都收集到这个作用域中，$dispose 时一起停止
+    const scope = effectScope(true)
+    const getters = {}
+    const actionSubscriptions = new Set()
+    const mutationSubscriptions = new Set()
+    // $patch 执行期间为 false，$patch 自己通知订阅者，避免 watch 再当作直接修改通知一次
+    let isListening = true
+    let state
+    // setup 式 store 的初始状态，用于 $reset
+    let initialState
+
+    // 用 Proxy 访问 store：先找 $ 开头的方法、action 和插件添加的属性，然后是 getter，最后是状态
+    const base = {}
+    const store = new Proxy(base, {
+        get(target, key) {
+            if (hasOwn(target, key)) return target[key]
+            if (hasOwn(getters, key)) return getters[key].value
+            return state[key]
+        },
+        set(target, key, value) {
+            if (hasOwn(target, key)) {
+                target[key] = value
+            } else if (hasOwn(getters, key)) {
+                getters[key].value = value
+            } else {
+                state[key] = value
+            }
+            return true
+        },
+        has(target, key) {
+            return hasOwn(target, key) || hasOwn(getters, key) || key in state
+        },
+    })
+
+    // action 包装之后，调用前通知 $onAction 的订阅者，订阅者可以通过 after 和 onError 注册结束和出错时的回调
+    function wrapAction(name, action) {
+        return function (...args) {
+            const afterCallbacks = []
+            const errorCallbacks = []
+            actionSubscriptions.forEach(callback => callback({
+                name,
+                store,
+                args,
+                after: fn => afterCallbacks.push(fn),
+                onError: fn => errorCallbacks.push(fn),
+            }))
+            const onError = err => errorCallbacks.forEach(fn => fn(err))
+            const after = value => afterCallbacks.forEach(fn => fn(value))
+            let ret
+            try {
+                ret = action.apply(store, args)
+            } catch (err) {
+                onError(err)
+                throw err
+            }
+            // 异步的 action 在 promise 完成后才算结束
+            if (ret instanceof Promise) {
+                return ret.then(value => {
+                    after(value)
+                    return value
+                }, err => {
+                    onError(err)
+                    return Promise.reject(err)
+                })
+            }
+            after(ret)
+            return ret
+        }
+    }
+
+    scope.run(() => {
+        if (isSetupStore) {
+            // setup 返回的 ref 和响应式对象是状态，放在一个响应式对象中，读取时自动脱 ref
+            const setupResult = setupOrOptions()
+            const stateRefs = {}
+            Object.keys(setupResult).forEach(key => {
+                const value = setupResult[key]
+                if (isComputed(value)) {
+                    getters[key] = value
+                } else if (typeof value === 'function') {
+                    base[key] = wrapAction(key, value)
+                } else if (isRef(value) || isReactive(value)) {
+                    stateRefs[key] = value
+                } else {
+                    base[key] = value
+                }
+            })
+            state = getProxyObj(stateRefs)
+            initialState = cloneDeep(state)
+        } else {
+            state = getProxyObj(options.state ? options.state() : {})
+            // getter 接收 state，this 是 store，可以访问其他 getter
+            Object.keys(options.getters || {}).forEach(key => {
+                const getter = options.getters[key]
+                getters[key] = computed(() => getter.call(store, state), { name: `${id}.${key}` })
+            })
+            Object.keys(options.actions || {}).forEach(key => {
+                base[key] = wrapAction(key, options.actions[key])
+            })
+        }
+    })
+
+    // 直接修改状态时，同步的深度 watch 通知订阅者，payload 是上一次通知以来 onTrigger 拿到的所有触发信息
+    // 在 batch 中的多次修改只会通知一次，所以需要把这期间的触发信息都收集起来
+    let pendingEvents = []
+    scope.run(() => watch(state, () => {
+        const events = pendingEvents
+        pendingEvents = []
+        if (!isListening) return
+        const mutation = { type: MutationType.DIRECT, storeId: id, payload: events }
+        mutationSubscriptions.forEach(callback => callback(mutation, state))
+    }, {
+        deep: true,
+        flush: 'sync',
+        name: `${id}.$subscribe`,
+        onTrigger(event) {
+            const { target, key, type, newValue, oldValue } = event
+            pendingEvents.push({ target, key, type, newValue, oldValue })
+        },
+    }))
+
+    Object.assign(base, {
+        $id: id,
+        // 批量修改状态：传入对象时深度合并，传入函数时以 state 为参数执行，修改只会使依赖它们的副作用函数执行一次
+        $patch(partialOrMutator) {
+            const isFunction = typeof partialOrMutator === 'function'
+            isListening = false
+            try {
+                batch(() => {
+                    if (isFunction) {
+                        partialOrMutator(state)
+                    } else {
+                        mergeReactiveObjects(state, partialOrMutator)
+                    }
+                })
+            } finally {
+                isListening = true
+            }
+            const mutation = isFunction
+                ? { type: MutationType.PATCH_FUNCTION, storeId: id, payload: undefined }
+                : { type: MutationType.PATCH_OBJECT, storeId: id, payload: partialOrMutator }
+            mutationSubscriptions.forEach(callback => callback(mutation, state))
+        },
+        // 恢复初始状态：选项式 store 重新调用 state()，setup 式 store 使用创建时的状态的拷贝
+        // setup 中的 ref 和响应式对象原地恢复，setup 中闭包引用的仍然是同一份状态
+        $reset() {
+            const fresh = isSetupStore ? cloneDeep(initialState) : (options.state ? options.state() : {})
+            this.$patch(s => {
+                const raw = toRaw(s)
+                Object.keys(raw).forEach(key => {
+                    if (!hasOwn(fresh, key)) delete s[key]
+                })
+                Object.keys(fresh).forEach(key => {
+                    if (isReactive(raw[key]) && isPlainObject(fresh[key])) {
+                        Object.keys(toRaw(raw[key])).forEach(k => {
+                            if (!hasOwn(fresh[key], k)) delete raw[key][k]
+                        })
+                        Object.assign(raw[key], fresh[key])
+                    } else {
+                        s[key] = fresh[key]
+                    }
+                })
+            })
+        },
+        // 订阅状态的修改 callback({ type, storeId, payload }, state)，返回取消订阅的函数
+        // 直接修改时 payload 是触发信息 { target, key, type, newValue, oldValue } 的数组，$patch 传入对象时是这个对象
+        $subscribe(callback, { detached = false } = {}) {
+            return addSubscription(mutationSubscriptions, callback, detached)
+        },
+        // 订阅 action 的调用 callback({ name, store, args, after, onError })，返回取消订阅的函数
+        $onAction(callback, detached = false) {
+            return addSubscription(actionSubscriptions, callback, detached)
+        },
+        // 停止 store 中所有的 computed 和 watch，并从注册表中移除，之后 useStore 会创建新的 store
+        $dispose() {
+            scope.stop()
+            actionSubscriptions.clear()
+            mutationSubscriptions.clear()
+            stores.delete(id)
+        },
+    })
+    // 整个状态，赋值时通过 $patch 合并
+    Object.defineProperty(base, '$state', {
+        get: () => state,
+        set: value => store.$patch(s => Object.assign(s, value)),
+    })
+
+    plugins.forEach(plugin => {
+        const extensions = scope.run(() => plugin({ store, id, options: setupOrOptions }))
+        if (extensions) Object.assign(base, extensions)
+    })
+    return store
+}
+
+// 定义 store，返回 useStore 函数，第一次调用时创建 store，之后返回同一个 store
+function defineStore(id, setupOrOptions) {
+    function useStore() {
+        if (!stores.has(id)) stores.set(id, createStore(id, setupOrOptions))
+        return stores.get(id)
+    }
+    useStore.$id = id
+    return useStore
+}
+
+module.exports = {
+    MutationType,
+    defineStore,
+    addStorePlugin,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { effect } = require('./对象响应系统的模拟')
+    const { ref } = require('./实现ref')
+
+    // 插件：给每个 store 添加 $log，并记录所有 action 的耗时
+    addStorePlugin(({ store, id }) => {
+        store.$onAction(({ name, after }) => {
+            const start = Date.now()
+            after(() => console.log(`[${id}] ${name} 完成，耗时 ${Date.now() - start}ms`))
+        })
+        return { $log: () => console.log(`[${id}]`, JSON.stringify(store.$state)) }
+    })
+
+    const useCounter = defineStore('counter', {
+        state: () => ({ count: 0, history: [] }),
+        getters: {
+            double: state => state.count * 2,
+            quadruple() {
+                return this.double * 2
+            },
+        },
+        actions: {
+            increment(step = 1) {
+                this.count += step
+                this.history.push(this.count)
+            },
+            async incrementLater() {
+                await new Promise(resolve => setTimeout(resolve, 10))
+                this.increment()
+            },
+        },
+    })
+
+    const counter = useCounter()
+    console.log(useCounter() === counter)
+    counter.$subscribe(({ type, payload }) => {
+        console.log('修改：', type, Array.isArray(payload) ? payload.map(event => event.key).join(',') : JSON.stringify(payload))
+    })
+    effect(() => {
+        console.log('count:', counter.count, 'double:', counter.double, 'quadruple:', counter.quadruple)
+    })
+    counter.increment()
+    // batch 中的直接修改只通知一次，payload 包含所有的修改
+    batch(() => {
+        counter.count = 5
+        counter.history.push(5)
+    })
+    // 多次修改合并，副作用函数只执行一次
+    counter.$patch({ count: 10, history: [10] })
+    counter.$patch(state => {
+        state.count++
+        state.history.push(state.count)
+    })
+    counter.$log()
+    counter.$reset()
+    counter.$log()
+
+    // setup 式
+    const useTodos = defineStore('todos', () => {
+        const items = ref([])
+        const filter = getProxyObj({ done: false })
+        const visible = computed(() => items.value.filter(item => item.done === filter.done))
+        function add(text) {
+            items.value.push({ text, done: false })
+        }
+        return { items, filter, visible, add }
+    })
+    const todos = useTodos()
+    todos.add('学习 store')
+    todos.filter.done = true
+    console.log(todos.visible.length, todos.items.length)
+    todos.$reset()
+    console.log(todos.items.length, todos.filter.done)
+
+    counter.incrementLater().then(() => counter.$log())
+}
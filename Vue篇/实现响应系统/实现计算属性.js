@@ -1,217 +1,163 @@
-// 采用 Proxy 实现响应式系统，通过劫持对象的 getter 和 setter 来实现
-
-// 存储副作用函数
-const bucket = new WeakMap()
-
-// 当前激活的副作用函数，每次生成新的副作用函数都会触发代理对象的 getter，从而将副作用函数与代理对象绑定
-let activeEffect
-// effect 栈
-const effectStack = []
-
-// 用于注册副作用函数
-function effect(fn, options = {}) {
-    const effectFn = () => {
-        // 调用 cleanup 函数清除该副作用函数绑定的属性直接的连接关系，这样每次注册之前都会先移除其他的副作用函数
-        cleanup(effectFn)
-        // 当调用 effect 注册副作用函数时，将副作用函数 fn 复制给 activeEffect
-        activeEffect = effectFn
-        // 立即执行副作用函数
-        // 在调用 effect 注册副作用函数前将其副作用函数压入栈中
-        effectStack.push(effectFn)
-        // 将 fn 的执行结果存储到 res 中
-        const res = fn()
-        // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
-        effectStack.pop()
-        activeEffect = effectStack[effectStack.length - 1]
-        // 将 res 作为 effectFn 的返回值
-        return res
-    }
-
-    // 将 options 挂载到 effectFn 上
-    effectFn.options = options
-
-    // activeEffect.deps 数组用来存储所有与该副作用函数相关联的依赖集合
-    effectFn.deps = []
-    // 只有非 lazy 的时候才执行
-    if (!options.lazy) {
-        // 执行副作用函数
-        effectFn()
-    }
-    // 将副作用函数作为返回值返回
-    return effectFn
-}
-
-function cleanup(effectFn) {
-    // 遍历 effectFn.deps 数组
-    for(let i = 0; i < effectFn.deps.length; i++) {
-        // deps 是依赖集合
-        const deps = effectFn.deps[i]
-        // 将 effectFn 从依赖集合中移除
-        deps.delete(effectFn)
-    }
-    // 重置 effectFn.deps 数组
-    effectFn.deps.length = 0
-}
-
-// 生成代理函数
-function getProxyObj(obj) {
-    return new Proxy(obj, {
-        // 拦截读取操作
-        get(target, key, receiver) {
-            // 处理副作用函数
-            track(target, key)
-            // 使用 Reflect.get 返回读取到的属性值
-            return Reflect.get(target, key, receiver)
-        },
-        // 拦截设置操作
-        set(target, key, value) {
-            // 给属性重新赋值
-            target[key] = value
-            // 执行副作用函数
-            trigger(target, key)
-        }
-    })
-}
-// 在 getter 拦截函数内调用 track 函数追踪变化
-function track(target, key) {
-    // 没有副作用函数，直接 return
-    if (!activeEffect) return
-    // 根据 target 从副作用函数库里取出 depsMap，它是一个 Map 类型：key --> effects
-    let depsMap = bucket.get(target)
-    // 如果不存在 depsMap，就新建一个 Map 并与 target 相关联
-    if (!depsMap) bucket.set(target, (depsMap = new Map()))
-    // 再根据 key 从 depsMap 中获取 deps，它是一个 Set 类型，里面存储着所有与当前 key 相关联的副作用函数：effects
-    let deps = depsMap.get(key)
-    // 如果 deps 不存在，同样新建一个 Set 并于 key 相关联
-    if (!deps) depsMap.set(key, (deps = new Set()))
-    // 将当前激活的副作用函数存储到副作用函数库中
-    deps.add(activeEffect)
-    // 将其添加到 activeEffect.deps 数组中，deps 数组就是一个与当前副作用函数存在联系的依赖集合
-    activeEffect.deps.push(deps)
-}
-
-// 在setter 拦截函数中调用 trigger 函数触发变化
-function trigger(target, key) {
-    //  根据 target 从 副作用函数库中取出 depsMap，它是 key --> effects
-    const depsMap = bucket.get(target)
-    // 如果不存在 depsMap，直接返回
-    if (!depsMap) return
-    // 根据 key 取得所有的副作用函数 effects
-    const effects = depsMap.get(key)
-
-    const effectsToRun = new Set(effects)
-    
-    effects && effects.forEach(effect => {
-        // 如果 trigger 触发执行的副作用函数与当前正在执行的副作用函数相同，则不触发执行，避免如 i++ 等的重复触发（递归调用）
-        if (effect !== activeEffect) effectsToRun.add(effect)
-    })
-    // 执行副作用函数
-    effectsToRun.forEach(effect => {
-        // 如果一个副作用函数存在调度器，则调用该调度器，并将副作用函数作为参数传递
-        if (effect.options.scheduler) {
-            effect.options.scheduler(effect)
-        } else {
-            // 否则直接执行副作用函数
-            effect()
-        }
-    })
-    // effects && effects.forEach(effect => effect())
+// 计算属性基于 effect 的 lazy 和 scheduler 选项实现，响应式系统的核心部分见 对象响应系统的模拟.js
+
+const {
+    effect,
+    stop,
+    track,
+    triggerRefValue,
+    checkDirty,
+    getProxyObj,
+    DirtyLevels,
+    ReactiveFlags,
+    ErrorTypes,
+    handleError,
+} = require('./对象响应系统的模拟')
+
+// 默认的相等判断，NaN 与 NaN 视为相等
+function defaultEquals(value, oldValue) {
+    return value === oldValue || (value !== value && oldValue !== oldValue)
 }
 
-// 定义一个任务队列
-const jobQueue = new Set()
-// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
-const p = Promise.resolve()
-
-// 一个代表是否正在刷新队列的标志
-let isFlushing = false
-// 刷新任务队列函数
-function flushJob() {
-    // 如果任务队列正在刷新，什么也不做
-    if (isFlushing) return
-    // 开启任务队列刷新
-    isFlushing = true
-    // 在微任务中刷新队列
-    p.then(() => {
-        jobQueue.forEach(job => job())
-    }).finally(() => {
-        // 刷新队列结束
-        isFlushing = false
-    })
-}
-
-
-// const testObj = getProxyObj({ name: 'Tom', age: 18 })
-
-// const effectFn = effect(
-//     // 指定了 lazy 选项，这个函数就不会立即执行
-//     () => {
-//         return testObj
-//     },
-//     // options
-//     {
-//         // 调度器 scheduler 是一个函数
-//         // scheduler(fn) {
-//         //     // 将副作用函数放到微任务队列里执行
-//         //     // const p = Promise.resolve()
-//         //     // p.then(() => fn())
-            
-//         //     // 每次调度时，将副作用函数添加到 jobQueue 队列中
-//         //     jobQueue.add(fn)
-//         //     // 调用flushJob 刷新任务队列
-//         //     flushJob()
-//         // },
-//         lazy: false
-//     }
-// )
-
-// const value = effectFn()
-
-// console.log(value)
-// value.age++
-// value.age++
-// testObj.age++
-
-
 // 所谓 computed，就是当依赖的响应式数据发生变化时，收到通知，并根据变化后的数据重新执行相应的回调函数
-function computed (getter) {
+// getterOrOptions 可以是 getter 函数，也可以是 { get, set }，传入 set 时计算属性是可写的
+// options 可以传入 equals 判断新旧值是否相等，调试用的名称 name，onTrack 和 onTrigger 调试钩子，以及处理 getter 错误的 onError
+function computed (getterOrOptions, options = {}) {
+    const getter = typeof getterOrOptions === 'function' ? getterOrOptions : getterOrOptions.get
+    const setter = typeof getterOrOptions === 'function' ? undefined : getterOrOptions.set
+    const equals = options.equals || defaultEquals
     // value 用来缓存上一次计算的值
     let value
-    // 当该值为 true 时，不需要重新计算
-    let dirty = true
+    // 是否已经计算过，第一次计算时没有旧值，不需要通知依赖它的副作用函数
+    let hasValue = false
 
-    // getter 作为副作用函数，创建一个 lazy 的 effect
-    const effectFn = effect(getter, {
+    // getter 作为副作用函数，创建一个 lazy 的 effect，getter 可以接收上一次计算的值
+    const effectFn = effect(() => getter(value), {
         lazy: true,
-        // 添加调度器，在调度器中重新设置 dirty 为 true
+        // 标记为计算属性，依赖变化时 trigger 会立即调用它的调度器来传播脏标记
+        computed: true,
+        name: options.name || 'computed',
+        onTrack: options.onTrack,
+        onTrigger: options.onTrigger,
+        onError: options.onError,
+        // 依赖的数据变化时并不会立即重新计算，只是通知依赖计算属性的副作用函数：计算属性的值可能变化了
+        // 等到它们真正读取 value 时才重新计算，值没有变化时就不会执行它们
         scheduler() {
-            dirty = true,
-            // 当计算属性依赖的响应式数据发生变化的时候，手动调用 trigger 函数触发响应
-            trigger(obj, 'value')
+            triggerRefValue(obj, DirtyLevels.MAYBE_DIRTY)
         }
     })
+    // 还没有计算过，初始状态是脏的
+    effectFn.dirtyLevel = DirtyLevels.DIRTY
+
     const obj = {
+        // 暴露内部的副作用函数，可以通过 stop(obj.effect) 停止计算属性
+        effect: effectFn,
         // 当读取 value 的时候才执行 effectFn
         get value() {
-            if (dirty) {
-                value = effectFn()
-                dirty = false
+            // 只是可能变脏时，先检查依赖的计算属性是否真的变化了
+            checkDirty(effectFn)
+            if (effectFn.dirtyLevel === DirtyLevels.DIRTY) {
+                const oldValue = value
+                try {
+                    value = effectFn()
+                } catch (err) {
+                    // getter 出错时保留上一次的值，等到依赖再次变化时重新计算
+                    effectFn.dirtyLevel = DirtyLevels.NOT_DIRTY
+                    handleError(err, effectFn, ErrorTypes.COMPUTED_GETTER)
+                    track(obj, 'value')
+                    return value
+                }
+                effectFn.dirtyLevel = DirtyLevels.NOT_DIRTY
+                // 只有值真的变化时才通知依赖它的副作用函数需要重新执行
+                if (hasValue && !equals(value, oldValue)) {
+                    triggerRefValue(obj, DirtyLevels.DIRTY, value, oldValue)
+                }
+                hasValue = true
             }
             // 当读取 value 的时候，手动调用 track 函数进行追踪
             track(obj, 'value')
             return value
+        },
+        set value(newValue) {
+            if (setter) {
+                setter(newValue)
+            } else {
+                console.warn('计算属性是只读的')
+            }
         }
     }
+    // 计算属性也是 ref，这样 isRef、unref、proxyRefs、watch 以及响应式对象的自动解包都能识别它
+    Object.defineProperty(obj, ReactiveFlags.IS_REF, { value: true })
     return obj
 }
 
-let testNum = 0
-const obj = getProxyObj({ foo: 1, bar: 2 })
-const sumRes = computed(() => { testNum++; return obj.foo + obj.bar})
+module.exports = {
+    computed,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    let testNum = 0
+    const obj = getProxyObj({ foo: 1, bar: 2 })
+    const sumRes = computed(() => { testNum++; return obj.foo + obj.bar})
+
+    console.log(sumRes.value)
+    console.log(sumRes.value)
+    console.log(sumRes.value)
+    obj.foo = 2
+    console.log(testNum)
+    console.log(sumRes)
+
+    // 停止计算属性后，依赖变化不会再使其变脏，读取到的依然是停止前的值
+    console.log(sumRes.value)
+    stop(sumRes.effect)
+    obj.foo = 3
+    console.log(sumRes.value)
+
+    // 菱形依赖：a 同时影响 b 和 c，d 依赖 b 和 c，每次修改 d 只会计算一次，并且不会读取到中间状态
+    const state = getProxyObj({ a: 1 })
+    const b = computed(() => state.a + 1)
+    const c = computed(() => state.a * 2)
+    const d = computed(() => {
+        console.log('计算 d')
+        return b.value + c.value
+    })
+    effect(() => {
+        console.log('d:', d.value)
+    })
+    state.a = 2
 
-console.log(sumRes.value)
-console.log(sumRes.value)
-console.log(sumRes.value)
-obj.foo = 2
-console.log(testNum)
-console.log(sumRes)
\ No newline at end of file
+    // 值没有变化时不会通知依赖它的副作用函数
+    const isEven = computed(() => state.a % 2 === 0)
+    effect(() => {
+        console.log('isEven:', isEven.value)
+    })
+    state.a = 4
+
+    // 可写的计算属性，getter 可以拿到上一次的值
+    const firstName = getProxyObj({ value: 'Tom' })
+    const name = computed({
+        get: previous => {
+            console.log('上一次的值:', previous)
+            return firstName.value
+        },
+        set: newValue => {
+            firstName.value = newValue
+        }
+    })
+    console.log(name.value)
+    name.value = 'Jerry'
+    console.log(name.value)
+
+    // 计算属性是 ref：可以直接被 watch 观测，放在响应式对象中时会自动解包
+    const { watch } = require('./实现watch')
+    const { isRef, unref } = require('./实现ref')
+    const count = getProxyObj({ value: 1 })
+    const double = computed(() => count.value * 2)
+    console.log(isRef(double), unref(double))
+    watch(double, (value, oldValue) => {
+        console.log('watch 计算属性:', oldValue, '->', value)
+    }, { flush: 'sync' })
+    const holder = getProxyObj({ double })
+    count.value = 2
+    console.log('自动解包:', holder.double)
+}
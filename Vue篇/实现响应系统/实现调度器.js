@@ -0,0 +1,235 @@
+// 调度器：将任务缓冲到微任务中统一执行，同一个任务在一次刷新中只会执行一次
+// 一次刷新分为三个阶段：pre 队列（如 flush 为 pre 的 watch）、主队列（如组件更新）、post 队列（如 flush 为 post 的 watch）
+// 任务可以带有 id，主队列按照 id 从小到大执行，这样父任务总是先于子任务执行
+
+const { ErrorTypes, callWithErrorHandling } = require('./对象响应系统的模拟')
+
+// 是否正在刷新队列
+let isFlushing = false
+// 是否已经安排了一次刷新
+let isFlushPending = false
+
+// 主任务队列
+const queue = []
+// 当前正在执行的任务在主队列中的索引
+let flushIndex = 0
+
+// 等待执行的 pre 任务，以及正在执行的 pre 任务
+const pendingPreFlushCbs = []
+let activePreFlushCbs = null
+let preFlushIndex = 0
+
+// 等待执行的 post 任务，以及正在执行的 post 任务
+const pendingPostFlushCbs = []
+let activePostFlushCbs = null
+let postFlushIndex = 0
+
+// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
+const resolvedPromise = Promise.resolve()
+// 当前这次刷新对应的 promise，nextTick 会等待它完成
+let currentFlushPromise = null
+
+// 一次刷新中同一个任务最多允许执行的次数，超过则认为出现了递归更新
+const RECURSION_LIMIT = 100
+
+// 没有 id 的任务排在最后
+function getId(job) {
+    return job.id == null ? Infinity : job.id
+}
+
+// 在当前刷新完成后执行 fn，不传 fn 时返回一个 promise
+function nextTick(fn) {
+    const p = currentFlushPromise || resolvedPromise
+    return fn ? p.then(fn) : p
+}
+
+// 通过二分查找找到任务应该插入的位置，保证主队列按照 id 递增排列
+function findInsertionIndex(id) {
+    // 正在刷新时，只能插入到当前任务之后
+    let start = isFlushing ? flushIndex + 1 : 0
+    let end = queue.length
+    while (start < end) {
+        const middle = (start + end) >>> 1
+        if (getId(queue[middle]) <= id) {
+            start = middle + 1
+        } else {
+            end = middle
+        }
+    }
+    return start
+}
+
+// 将任务添加到主队列
+function queueJob(job) {
+    // 去重：正在刷新时从当前任务开始查找，这样正在执行的任务不会再次把自己加入队列
+    // 除非它设置了 allowRecurse，此时从下一个任务开始查找，它就可以在执行过程中重新入队
+    const start = isFlushing ? (job.allowRecurse ? flushIndex + 1 : flushIndex) : 0
+    if (!queue.includes(job, start)) {
+        const id = getId(job)
+        if (id === Infinity) {
+            queue.push(job)
+        } else {
+            queue.splice(findInsertionIndex(id), 0, job)
+        }
+        queueFlush()
+    }
+}
+
+// 从主队列中移除一个还未执行的任务
+function invalidateJob(job) {
+    const i = queue.indexOf(job)
+    if (i > flushIndex) queue.splice(i, 1)
+}
+
+function queueCb(cb, activeQueue, pendingQueue, index) {
+    // 与 queueJob 一样，正在执行的任务只有设置了 allowRecurse 才能重新入队
+    if (!activeQueue || !activeQueue.includes(cb, cb.allowRecurse ? index + 1 : index)) {
+        pendingQueue.push(cb)
+    }
+    queueFlush()
+}
+
+// 添加一个在主队列之前执行的任务
+function queuePreFlushCb(cb) {
+    queueCb(cb, activePreFlushCbs, pendingPreFlushCbs, preFlushIndex)
+}
+
+// 添加一个在主队列之后执行的任务
+function queuePostFlushCb(cb) {
+    queueCb(cb, activePostFlushCbs, pendingPostFlushCbs, postFlushIndex)
+}
+
+// 在微任务中刷新队列，一次事件循环中只会安排一次
+function queueFlush() {
+    if (!isFlushing && !isFlushPending) {
+        isFlushPending = true
+        currentFlushPromise = resolvedPromise.then(() => flushJobs())
+    }
+}
+
+// 检查任务在本次刷新中的执行次数，超过上限时报告该任务并返回 true
+function checkRecursiveUpdates(seen, fn) {
+    const count = seen.get(fn) || 0
+    if (count >= RECURSION_LIMIT) {
+        const name = fn.name || (fn.id != null ? `#${fn.id}` : '匿名任务')
+        console.error(`任务 ${name} 在一次刷新中更新自身超过了 ${RECURSION_LIMIT} 次，可能存在无限递归，本次刷新不再执行它`)
+        return true
+    }
+    seen.set(fn, count + 1)
+    return false
+}
+
+function flushPreFlushCbs(seen) {
+    if (!pendingPreFlushCbs.length) return
+    // 去重后再执行
+    activePreFlushCbs = [...new Set(pendingPreFlushCbs)]
+    pendingPreFlushCbs.length = 0
+    for (preFlushIndex = 0; preFlushIndex < activePreFlushCbs.length; preFlushIndex++) {
+        const cb = activePreFlushCbs[preFlushIndex]
+        if (checkRecursiveUpdates(seen, cb)) continue
+        callWithErrorHandling(cb, cb, ErrorTypes.SCHEDULER)
+    }
+    activePreFlushCbs = null
+    preFlushIndex = 0
+    // 执行 pre 任务时可能又添加了新的 pre 任务，递归执行直到清空
+    flushPreFlushCbs(seen)
+}
+
+// 执行 post 队列，渲染器在同步渲染之后调用它，这样 mounted 等钩子不必等到下一次刷新
+function flushPostFlushCbs(seen = new Map()) {
+    if (!pendingPostFlushCbs.length) return
+    const deduped = [...new Set(pendingPostFlushCbs)]
+    pendingPostFlushCbs.length = 0
+    // 已经在执行 post 任务了（嵌套调用），直接追加到正在执行的队列中
+    if (activePostFlushCbs) {
+        activePostFlushCbs.push(...deduped)
+        return
+    }
+    activePostFlushCbs = deduped.sort((a, b) => (getId(a) - getId(b)) || 0)
+    for (postFlushIndex = 0; postFlushIndex < activePostFlushCbs.length; postFlushIndex++) {
+        const cb = activePostFlushCbs[postFlushIndex]
+        if (checkRecursiveUpdates(seen, cb)) continue
+        callWithErrorHandling(cb, cb, ErrorTypes.SCHEDULER)
+    }
+    activePostFlushCbs = null
+    postFlushIndex = 0
+}
+
+// 刷新任务队列，seen 记录本次刷新中每个任务的执行次数
+function flushJobs(seen = new Map()) {
+    isFlushPending = false
+    isFlushing = true
+
+    flushPreFlushCbs(seen)
+
+    // 按照 id 排序，保证父任务先于子任务执行
+    queue.sort((a, b) => (getId(a) - getId(b)) || 0)
+
+    try {
+        for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+            const job = queue[flushIndex]
+            // 已经停止的副作用函数不再执行
+            if (job.active === false) continue
+            if (checkRecursiveUpdates(seen, job)) continue
+            // 一个任务抛出的错误交给错误处理函数，其余的任务继续执行
+            callWithErrorHandling(job, job, ErrorTypes.SCHEDULER)
+        }
+    } finally {
+        flushIndex = 0
+        queue.length = 0
+
+        flushPostFlushCbs(seen)
+
+        isFlushing = false
+        currentFlushPromise = null
+        // post 任务中可能又添加了新的任务，继续刷新直到全部清空
+        if (queue.length || pendingPreFlushCbs.length || pendingPostFlushCbs.length) {
+            flushJobs(seen)
+        }
+    }
+}
+
+module.exports = {
+    RECURSION_LIMIT,
+    nextTick,
+    queueJob,
+    invalidateJob,
+    queuePreFlushCb,
+    queuePostFlushCb,
+    flushPostFlushCbs,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { effect, getProxyObj } = require('./对象响应系统的模拟')
+
+    const obj = getProxyObj({ foo: 1 })
+    // 副作用函数本身就可以作为任务交给调度器，多次修改只会执行一次
+    effect(() => {
+        console.log('foo:', obj.foo)
+    }, {
+        scheduler: queueJob
+    })
+    obj.foo++
+    obj.foo++
+    nextTick(() => {
+        console.log('刷新完成')
+    })
+
+    // 主队列中的任务按照 id 排序
+    const child = () => console.log('子任务')
+    child.id = 2
+    const parent = () => console.log('父任务')
+    parent.id = 1
+    queueJob(child)
+    queueJob(parent)
+    queuePostFlushCb(() => console.log('post 任务'))
+    queuePreFlushCb(() => console.log('pre 任务'))
+
+    // 允许递归的任务不断把自己加入队列，超过上限后会被报告并跳过
+    function selfUpdate() {
+        queueJob(selfUpdate)
+    }
+    selfUpdate.allowRecurse = true
+    queueJob(selfUpdate)
+}
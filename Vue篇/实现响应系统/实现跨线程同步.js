@@ -0,0 +1,414 @@
+// 跨线程同步：把主线程中的响应式对象共享给 worker_threads 中的线程，每个线程都持有一份副本，修改会同步到所有副本
+// shareReactive(obj, port) 在响应式对象上开放一个端口，另一端调用 connectReactive(port) 得到一份副本
+// 1. 连接时副本一方发送 hello，共享的一方回复完整的快照：数据、每个路径最后一次写入的版本和逻辑时钟
+// 2. 之后任何一方通过代理对象的修改都由 observePatches 转换成基于路径的 JSON Patch 操作，同一轮微任务中的操作合并成一条消息
+// 3. 冲突按照最后写入者胜出（LWW）解决：每条消息带有版本 { clock, peer }，即 Lamport 时钟加上副本的 id，
+//    副本记录每个路径最后一次写入的版本和操作，收到的操作如果比这个路径或者祖先路径上的版本旧就丢弃，
+//    覆盖后代路径时，后代路径上更新的写入按照版本的顺序重新执行，这样无论消息以什么顺序到达，所有副本最终都收敛到相同的状态
+// 4. 被删除的路径在 writes 中保留一条删除的记录（墓碑），用来丢弃之后到达的更旧的写入。每个副本通过 stable 消息告诉相邻的副本：
+//    之后从这个端口发出的操作，时钟都会大于 stable，它是自己的时钟和其他端口的 stable 中最小的一个，
+//    所有端口的 stable 都不小于墓碑的时钟时，不会再有更旧的写入到达，墓碑就被清理
+// 数组的索引会随着插入和删除变化，无法按索引合并，所以数组作为一个整体：数组内部的任何修改都会发送整个数组
+// 端口可以是 MessagePort、Worker 或者 parentPort，一个副本可以连接多个端口，收到的操作会转发给其他端口
+// 限制：
+// 1. 收敛指的是每个路径上的值相同，对象属性的顺序不一定相同：属性按照各个副本收到操作的顺序添加，
+//    所以 Object.keys 和 JSON.stringify 的结果在不同的副本上可能不同，比较两个副本时需要忽略属性的顺序
+// 2. 端口之间需要构成一棵树（不能有环），消息沿着唯一的路径按顺序到达，否则无法判断什么时候可以清理墓碑
+
+const { threadId } = require('worker_threads')
+const { getProxyObj, toRaw, startBatch, endBatch } = require('./对象响应系统的模拟')
+const { toPlain, toPointer, parsePointer, observePatches, applyPatch } = require('./实现JSON补丁')
+
+const isObject = value => typeof value === 'object' && value !== null
+
+// 原始对象 --> 副本
+const replicas = new WeakMap()
+
+// 写入记录按照路径组织成一棵树，节点为 { write, children }，children 是 token --> 子节点
+// 这样查找祖先路径和后代路径上的写入只需要访问路径上的节点和后代节点，与写入记录的总数无关
+const createWriteNode = () => ({ write: null, children: new Map() })
+
+// 先比较时钟，时钟相同时比较副本的 id，这样所有副本对任意两个版本的先后都能得出相同的结论
+function compareVersion(a, b) {
+    if (a.clock !== b.clock) return a.clock - b.clock
+    return a.peer < b.peer ? -1 : a.peer > b.peer ? 1 : 0
+}
+
+// path 是 ancestor 本身或者它的后代
+function isDescendant(path, ancestor) {
+    return path === ancestor || path.startsWith(ancestor + '/')
+}
+
+// 沿着路径读取原始数据，路径不存在时 found 为 false
+function resolvePath(root, path) {
+    let node = toRaw(root)
+    for (const token of parsePointer(path)) {
+        if (node instanceof Map) {
+            if (!node.has(token)) return { found: false }
+            node = node.get(token)
+        } else if (node instanceof Set) {
+            if (Number(token) >= node.size) return { found: false }
+            node = [...node][token]
+        } else if (isObject(node) && Object.prototype.hasOwnProperty.call(node, token)) {
+            node = node[token]
+        } else {
+            return { found: false }
+        }
+        node = toRaw(node)
+    }
+    return { found: true, value: node }
+}
+
+// 经过数组（或者 Set）的路径收拢为最外层数组的路径
+function collapsePath(root, path) {
+    const tokens = parsePointer(path)
+    let node = toRaw(root)
+    for (let i = 0; i < tokens.length; i++) {
+        if (Array.isArray(node) || node instanceof Set) return toPointer(tokens.slice(0, i))
+        node = toRaw(node instanceof Map ? node.get(tokens[i]) : isObject(node) ? node[tokens[i]] : undefined)
+    }
+    return path
+}
+
+function createReplica(state, id) {
+    const raw = toRaw(state)
+    if (!isObject(raw) || Array.isArray(raw) || raw instanceof Set) {
+        throw new TypeError('只能同步对象，根对象不能是数组或 Set')
+    }
+    const replica = {
+        raw,
+        state: getProxyObj(raw),
+        id: id || `${threadId}-${Math.random().toString(36).slice(2, 10)}`,
+        clock: 0,
+        // 每个路径最后一次写入 { version, op } 组成的树，被删除的路径也保留，用来丢弃更旧的写入
+        writes: createWriteNode(),
+        // 墓碑，即 op 为 remove 的写入，所有端口的 stable 都不小于它的时钟之后被清理
+        tombstones: new Set(),
+        // 端口 --> { ready, stable, sent }，ready 表示对方是否已经拿到快照，拿到快照之后才会接收操作
+        // stable 是对方承诺之后发来的操作的时钟都大于它，sent 是最后一次告诉对方的 stable
+        ports: new Map(),
+        // 路径 --> 等待发送的操作，值为 null 表示数组，发送时读取整个数组
+        pending: new Map(),
+        scheduled: false,
+        // 正在执行收到的操作，这时的修改不需要再发送出去
+        applying: false,
+        unobserve: null,
+    }
+    replica.unobserve = observePatches(replica.state, patches => {
+        if (!replica.applying) record(replica, patches)
+    })
+    replicas.set(raw, replica)
+    return replica
+}
+
+// 记录本地的修改，在微任务中一起发送
+function record(replica, patches) {
+    patches.forEach(patch => {
+        const path = collapsePath(replica.raw, patch.path)
+        if (path === '') return
+        // 后面的修改覆盖同一路径以及后代路径上还没有发送的操作，并且排到最后
+        for (const key of replica.pending.keys()) {
+            if (isDescendant(key, path)) replica.pending.delete(key)
+        }
+        replica.pending.set(path, path === patch.path ? patch : null)
+    })
+    if (!replica.scheduled) {
+        replica.scheduled = true
+        queueMicrotask(() => flush(replica))
+    }
+}
+
+// 沿着路径找到写入记录的节点，create 为 false 时路径上的节点不存在返回 null
+function findWriteNode(replica, path, create) {
+    let node = replica.writes
+    for (const token of parsePointer(path)) {
+        let child = node.children.get(token)
+        if (!child) {
+            if (!create) return null
+            child = createWriteNode()
+            node.children.set(token, child)
+        }
+        node = child
+    }
+    return node
+}
+
+// 删除 node 的后代节点上版本不比 version 新的写入，返回更新的写入，并移除空的节点
+function dropDescendants(replica, node, version, kept) {
+    node.children.forEach((child, token) => {
+        if (child.write) {
+            if (compareVersion(child.write.version, version) > 0) {
+                kept.push(child.write)
+            } else {
+                replica.tombstones.delete(child.write)
+                child.write = null
+            }
+        }
+        dropDescendants(replica, child, version, kept)
+        if (!child.write && !child.children.size) node.children.delete(token)
+    })
+    return kept
+}
+
+// 写入 path 时，后代路径上更旧的写入都已经过时了，返回后代路径上更新的写入，需要在这次写入之后重新执行
+function setWrite(replica, op, version) {
+    const node = findWriteNode(replica, op.path, true)
+    if (node.write) replica.tombstones.delete(node.write)
+    const kept = dropDescendants(replica, node, version, [])
+    node.write = { version, op }
+    if (op.op === 'remove') replica.tombstones.add(node.write)
+    return kept
+}
+
+// 删除 path 上的写入，并移除路径上空的节点
+function deleteWrite(replica, path) {
+    const nodes = [replica.writes]
+    const tokens = parsePointer(path)
+    for (const token of tokens) {
+        const child = nodes[nodes.length - 1].children.get(token)
+        if (!child) return
+        nodes.push(child)
+    }
+    nodes[nodes.length - 1].write = null
+    for (let i = tokens.length; i > 0 && !nodes[i].write && !nodes[i].children.size; i--) {
+        nodes[i - 1].children.delete(tokens[i - 1])
+    }
+}
+
+// 按照路径的顺序列出所有写入，用于快照
+function listWrites(node, res = []) {
+    if (node.write) res.push(node.write)
+    node.children.forEach(child => listWrites(child, res))
+    return res
+}
+
+function broadcast(replica, message, except) {
+    replica.ports.forEach(({ ready }, port) => {
+        if (ready && port !== except) port.postMessage(message)
+    })
+}
+
+// 之后通过 except 以外的端口收到的操作，以及自己之后的操作，时钟都大于返回值，转发给 except 的操作也是如此
+function stableFor(replica, except) {
+    let stable = replica.clock
+    replica.ports.forEach(({ ready, stable: value }, port) => {
+        if (ready && port !== except) stable = Math.min(stable, value)
+    })
+    return stable
+}
+
+// 把变大了的 stable 告诉相邻的副本，在发送操作之后调用，所以之前发出的操作总是先到达
+function announce(replica) {
+    replica.ports.forEach((info, port) => {
+        if (!info.ready) return
+        const stable = stableFor(replica, port)
+        if (stable <= info.sent) return
+        info.sent = stable
+        port.postMessage({ type: 'stable', stable })
+    })
+}
+
+// 所有端口之后发来的操作都比墓碑新，墓碑不再需要了
+function pruneTombstones(replica) {
+    let stable = Infinity
+    replica.ports.forEach(({ ready, stable: value }) => {
+        if (ready) stable = Math.min(stable, value)
+    })
+    replica.tombstones.forEach(write => {
+        if (write.version.clock > stable) return
+        replica.tombstones.delete(write)
+        deleteWrite(replica, write.op.path)
+    })
+}
+
+// 为等待发送的操作分配一个新的版本，然后发送给所有端口
+function flush(replica) {
+    replica.scheduled = false
+    if (!replica.pending.size) return
+    const ops = []
+    replica.pending.forEach((patch, path) => {
+        if (patch) {
+            // 对象上的 add 和 replace 都是设置属性，对方的属性可能已经被并发地删除了，统一使用 add
+            ops.push(patch.op === 'remove' ? { op: 'remove', path } : { op: 'add', path, value: patch.value })
+            return
+        }
+        const { found, value } = resolvePath(replica.raw, path)
+        if (found) ops.push({ op: 'add', path, value: toPlain(value) })
+    })
+    replica.pending.clear()
+    if (!ops.length) return
+    const version = { clock: ++replica.clock, peer: replica.id }
+    ops.forEach(op => setWrite(replica, op, version))
+    broadcast(replica, { type: 'ops', ops, version })
+    announce(replica)
+}
+
+// 路径本身或者祖先路径上有更新的写入时，这个操作已经过时了
+// 同一条消息中的操作版本相同，后面的操作可能是前面操作的后代路径，所以版本相同时不算过时
+function isStale(replica, path, version) {
+    let node = replica.writes
+    for (const token of parsePointer(path)) {
+        node = node.children.get(token)
+        if (!node) return false
+        if (node.write && compareVersion(node.write.version, version) > 0) return true
+    }
+    return false
+}
+
+function applyOperation(replica, op) {
+    try {
+        applyPatch(replica.state, [op])
+    } catch (err) {
+        // 父路径不存在（被删除了或者还没有创建），之后父路径被重新写入时，这个操作会被重新执行
+    }
+}
+
+// 执行收到的操作，返回执行了的操作
+function receive(replica, { ops, version }) {
+    // 本地还没有发送的修改先发送出去，它们的版本比收到的操作旧
+    flush(replica)
+    replica.clock = Math.max(replica.clock, version.clock)
+    const accepted = ops.filter(op => !isStale(replica, op.path, version))
+    // 执行期间触发的副作用函数在 endBatch 时执行，那时 applying 已经恢复，副作用函数中的修改会正常发送
+    startBatch()
+    replica.applying = true
+    try {
+        accepted.forEach(op => {
+            // 后代路径上比这个操作更新的写入，覆盖之后按照版本的顺序重新执行
+            const kept = setWrite(replica, op, version)
+            applyOperation(replica, op)
+            kept.sort((a, b) => compareVersion(a.version, b.version)).forEach(write => applyOperation(replica, write.op))
+        })
+    } finally {
+        replica.applying = false
+        endBatch()
+    }
+    return accepted
+}
+
+// 让副本通过 port 收发操作，返回断开连接的函数，端口关闭时自动断开
+// stable 是对方承诺之后发来的操作的时钟都大于它，还没有拿到快照的一方不会发来操作
+function attach(replica, port, ready, stable) {
+    const info = { ready, stable: ready ? stable : Infinity, sent: -1 }
+    replica.ports.set(port, info)
+    const onMessage = message => {
+        if (!isObject(message)) return
+        if (message.type === 'hello') {
+            flush(replica)
+            // 对方的时钟从快照中的时钟开始
+            Object.assign(info, { ready: true, stable: replica.clock, sent: stableFor(replica, port) })
+            port.postMessage({
+                type: 'snapshot',
+                value: toPlain(replica.raw),
+                writes: listWrites(replica.writes),
+                clock: replica.clock,
+                stable: info.sent,
+            })
+        } else if (message.type === 'ops') {
+            const accepted = receive(replica, message)
+            if (accepted.length) broadcast(replica, { type: 'ops', ops: accepted, version: message.version }, port)
+            announce(replica)
+        } else if (message.type === 'stable') {
+            info.stable = Math.max(info.stable, message.stable)
+            pruneTombstones(replica)
+            announce(replica)
+        }
+    }
+    const detach = () => {
+        if (!replica.ports.has(port)) return
+        port.off('message', onMessage)
+        port.off('close', detach)
+        replica.ports.delete(port)
+        // 没有端口之后停止监听修改
+        if (!replica.ports.size) {
+            replica.unobserve()
+            replicas.delete(replica.raw)
+            return
+        }
+        // 断开的端口不会再发来操作，其他端口的 stable 可能已经足够清理墓碑了
+        pruneTombstones(replica)
+        announce(replica)
+    }
+    port.on('message', onMessage)
+    port.on('close', detach)
+    return detach
+}
+
+// 共享响应式对象 obj，另一端通过 connectReactive 连接，返回停止共享的函数
+// 传入普通对象时，只有通过 getProxyObj(obj) 的修改才会被同步
+function shareReactive(obj, port, options = {}) {
+    const replica = replicas.get(toRaw(obj)) || createReplica(obj, options.id)
+    return attach(replica, port, false)
+}
+
+// 连接到另一端共享的响应式对象，拿到快照之后 resolve 本地的副本，关闭端口即可断开连接
+function connectReactive(port, options = {}) {
+    return new Promise(resolve => {
+        const onSnapshot = message => {
+            if (!isObject(message) || message.type !== 'snapshot') return
+            port.off('message', onSnapshot)
+            const replica = createReplica(getProxyObj(message.value), options.id)
+            message.writes.forEach(({ version, op }) => setWrite(replica, op, version))
+            replica.clock = message.clock
+            attach(replica, port, true, message.stable)
+            resolve(replica.state)
+        }
+        port.on('message', onSnapshot)
+        port.postMessage({ type: 'hello' })
+    })
+}
+
+module.exports = {
+    shareReactive,
+    connectReactive,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { Worker, MessageChannel, isMainThread, parentPort } = require('worker_threads')
+    const { effect } = require('./对象响应系统的模拟')
+
+    if (!isMainThread) {
+        // worker 中：numbers 变化时重新计算，结果写回共享的对象
+        connectReactive(parentPort).then(state => {
+            effect(() => {
+                state.result = state.numbers.reduce((sum, n) => sum + n * n, 0)
+            })
+        })
+    } else {
+        const state = getProxyObj({ numbers: [1, 2, 3], result: null })
+        const worker = new Worker(__filename)
+        const stopSharing = shareReactive(state, worker)
+        let count = 0
+        effect(() => {
+            if (state.result === null) return
+            console.log('worker 计算的平方和：', state.numbers.join(','), '->', state.result)
+            if (++count === 1) {
+                state.numbers.push(4)
+            } else {
+                stopSharing()
+                worker.terminate().then(resolveConflicts)
+            }
+        })
+
+        // 两个副本同时修改同一个路径，交换消息之后收敛到相同的结果
+        async function resolveConflicts() {
+            const { port1, port2 } = new MessageChannel()
+            const a = getProxyObj({ title: '初始', user: { name: 'Tom', age: 18 } })
+            shareReactive(a, port1, { id: 'a' })
+            const b = await connectReactive(port2, { id: 'b' })
+            effect(() => {
+                console.log('b:', JSON.stringify(b))
+            })
+            a.title = 'a 的标题'
+            b.title = 'b 的标题'
+            // a 替换了整个 user，b 只修改了 user.age：两边的时钟相同，按照 id 比较 b 的版本更新，所以 user.age 的修改被保留下来
+            a.user = { name: 'Jerry' }
+            b.user.age = 20
+            b.user.age = 21
+            await new Promise(resolve => setTimeout(resolve, 50))
+            console.log('a:', JSON.stringify(a))
+            port1.close()
+        }
+    }
+}
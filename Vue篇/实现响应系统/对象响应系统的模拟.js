@@ -12,31 +12,185 @@ const TriggerType = {
     SET: 'SET',
     ADD: 'ADD',
     DELETE: 'DELETE',
+    CLEAR: 'CLEAR',
+}
+
+// 追踪操作的类型，用于 onTrack 调试钩子
+const TrackType = {
+    GET: 'get',
+    HAS: 'has',
+    ITERATE: 'iterate',
+}
+
+// 依赖集合到 { target, key } 的映射，用于检查依赖图时知道每个依赖集合属于哪个对象的哪个属性
+const depInfoMap = new WeakMap()
+// 所有副作用函数的弱引用，用于导出完整的依赖图，不会阻止副作用函数被垃圾回收
+// 每个副作用函数都会被登记，这样开始检查之前就已经泄漏的副作用函数也能被找到
+const effectRefs = new Set()
+const effectRegistry = new FinalizationRegistry(ref => effectRefs.delete(ref))
+
+// 全局调试钩子，可以观测所有的追踪与触发操作
+const debugHooks = new Set()
+
+// 注册全局调试钩子 { onTrack, onTrigger }，返回一个用于移除该钩子的函数
+function addDebugHook(hook) {
+    debugHooks.add(hook)
+    return () => debugHooks.delete(hook)
+}
+
+// 写入拦截器：原始对象 --> 拦截器，通过代理对象设置或删除它的属性时调用，例如 实现数据校验.js 在写入之前校验
+const writeInterceptors = new WeakMap()
+
+// 为原始对象注册写入拦截器 interceptor(target, key, value, write, isDelete)，返回值作为 set 或 deleteProperty 拦截函数的返回值
+// 拦截器调用 write() 完成这次写入并得到结果，不调用则这次写入被忽略，返回移除拦截器的函数
+function interceptWrites(target, interceptor) {
+    target = toRaw(target)
+    writeInterceptors.set(target, interceptor)
+    return () => {
+        if (writeInterceptors.get(target) === interceptor) writeInterceptors.delete(target)
+    }
+}
+
+// 当前激活的 effect 作用域，在 scope.run() 中创建的副作用函数都会被收集到该作用域中
+let activeEffectScope
+
+// 错误的来源，作为 info 传给错误处理函数
+const ErrorTypes = {
+    EFFECT: 'effect',
+    COMPUTED_GETTER: 'computed getter',
+    WATCH_GETTER: 'watch getter',
+    WATCH_CALLBACK: 'watch callback',
+    CLEANUP: 'cleanup',
+    SCHEDULER: 'scheduler',
+    // 组件相关，见 ../实现渲染器/实现组件.js
+    SETUP_FUNCTION: 'setup function',
+    RENDER_FUNCTION: 'render function',
+    LIFECYCLE_HOOK: 'lifecycle hook',
+    COMPONENT_EVENT_HANDLER: 'component event handler',
+}
+
+// 全局的错误处理函数
+let errorHandler = null
+
+// 设置全局的错误处理函数 handler(err, source, info)，source 是出错的副作用函数或任务，info 是 ErrorTypes 中的一种
+function setErrorHandler(handler) {
+    errorHandler = handler
+}
+
+// 处理用户代码抛出的错误：优先交给副作用函数自己的 onError 选项，其次是全局的错误处理函数，都没有则打印出来
+function handleError(err, source, info) {
+    const handler = (source && source.options && source.options.onError) || errorHandler
+    if (handler) {
+        try {
+            handler(err, source, info)
+            return
+        } catch (handlerErr) {
+            console.error('错误处理函数抛出了错误', handlerErr)
+        }
+    }
+    console.error(`${info} 执行时抛出了错误`, err)
+}
+
+// 执行用户代码，抛出的错误交给 handleError 处理，不会中断调用者
+function callWithErrorHandling(fn, source, info, args = []) {
+    try {
+        return fn(...args)
+    } catch (err) {
+        handleError(err, source, info)
+    }
+}
+
+// 副作用函数的脏标记：依赖的响应式数据变化了是 DIRTY，只是依赖的计算属性可能变化了是 MAYBE_DIRTY
+const DirtyLevels = {
+    NOT_DIRTY: 0,
+    MAYBE_DIRTY: 1,
+    DIRTY: 2,
+}
+
+// 是否使用差异追踪：副作用函数重新执行时不再清除所有依赖，而是与上一次执行的依赖逐个比较，只移除不再需要的依赖
+// 关闭后回到每次执行之前先 cleanup 的方式，仅用于对比性能，见 依赖追踪基准测试.js
+let diffTracking = true
+function setDiffTracking(enabled) {
+    diffTracking = enabled
 }
 
 // 用于注册副作用函数
 function effect(fn, options = {}) {
     const effectFn = () => {
-        // 调用 cleanup 函数清楚该副作用函数绑定的属性直接的连接关系，这样每次注册之前都会先移除其他的副作用函数
-        cleanup(effectFn)
+        // 已经停止的副作用函数只执行原始函数，不再收集依赖
+        if (!effectFn.active) return fn()
+        const useDiff = diffTracking
+        if (useDiff) {
+            // 开始新的一次追踪，track 会按顺序把依赖与上一次执行时同一位置的依赖比较
+            effectFn.trackId++
+            effectFn.depsLength = 0
+            effectFn.savedSlots.length = 0
+        } else {
+            // 调用 cleanup 函数清楚该副作用函数绑定的属性直接的连接关系，这样每次注册之前都会先移除其他的副作用函数
+            cleanup(effectFn)
+        }
         // 当调用 effect 注册副作用函数时，将副作用函数 fn 复制给 activeEffect
         activeEffect = effectFn
         // 立即执行副作用函数
         // 在调用 effect 注册副作用函数前将其副作用函数压入栈中
         effectStack.push(effectFn)
-        fn()
-        // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
-        effectStack.pop();
-        activeEffect = effectStack[effectStack.length - 1]
+        // 副作用函数执行期间总是需要追踪，即使外部暂停了追踪（例如数组的 push 方法中读取了计算属性）
+        const lastShouldTrack = shouldTrack
+        shouldTrack = true
+        try {
+            // 将 fn 的执行结果作为 effectFn 的返回值
+            return fn()
+        } finally {
+            // 移除这一次执行没有再读取的依赖，并把被覆盖的外层副作用函数的追踪记录还给它们
+            if (useDiff) {
+                finishTracking(effectFn)
+                restoreSlots(effectFn)
+            }
+            // 即使 fn 抛出了错误，也要恢复状态，否则之后的读取都会被追踪到这个副作用函数中
+            shouldTrack = lastShouldTrack
+            // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
+            effectStack.pop();
+            activeEffect = effectStack[effectStack.length - 1]
+        }
     }
 
     // 将 options 挂载到 effectFn 上
     effectFn.options = options
 
-    // activeEffect.deps 数组用来存储所有与该副作用函数相关联的依赖集合
+    // activeEffect.deps 数组用来存储所有与该副作用函数相关联的依赖集合，按照读取的顺序排列
     effectFn.deps = []
-    // 执行副作用函数
-    effectFn()
+    // 差异追踪：每次执行的编号，本次执行已经追踪到的依赖数量，以及嵌套执行时覆盖了的外层副作用函数的追踪记录，见 markTracked
+    effectFn.trackId = 0
+    effectFn.depsLength = 0
+    effectFn.savedSlots = []
+    // 标记副作用函数是否处于激活状态，调用 stop 之后变为 false
+    effectFn.active = true
+    // 脏标记，只有变脏之后才会被重新执行
+    effectFn.dirtyLevel = DirtyLevels.NOT_DIRTY
+    // 调试用的名称，可以通过 options.name 指定，默认使用传入函数的名称
+    Object.defineProperty(effectFn, 'name', { value: options.name || fn.name || 'effectFn' })
+    // 登记到弱引用集合中，被垃圾回收后自动移除
+    const ref = new WeakRef(effectFn)
+    effectRefs.add(ref)
+    effectRegistry.register(effectFn, ref)
+    // 将副作用函数收集到当前的 effect 作用域中，options.scope 可以指定其他作用域
+    recordEffectScope(effectFn, options.scope)
+    // 只有非 lazy 的时候才执行
+    if (!options.lazy) {
+        // 执行副作用函数，抛出的错误交给 onError 选项或全局的错误处理函数
+        callWithErrorHandling(effectFn, effectFn, ErrorTypes.EFFECT)
+    }
+    // 将副作用函数作为返回值返回，可以手动执行或传给 stop 停止
+    return effectFn
+}
+
+// 停止副作用函数，断开它与所有响应式数据之间的联系，之后数据变化不会再触发它
+function stop(runner) {
+    if (!runner.active) return
+    cleanup(runner)
+    runner.active = false
+    // 调用用户注册的 onStop 回调
+    if (runner.options.onStop) callWithErrorHandling(runner.options.onStop, runner, ErrorTypes.CLEANUP)
 }
 
 function cleanup(effectFn) {
@@ -45,51 +199,473 @@ function cleanup(effectFn) {
         // deps 是依赖集合
         const deps = effectFn.deps[i]
         // 将 effectFn 从依赖集合中移除
-        deps.delete(effectFn)
+        unlinkDep(deps, effectFn)
     }
     // 重置 effectFn.deps 数组
     effectFn.deps.length = 0
+    // 之前的追踪记录全部作废
+    effectFn.trackId++
+}
+
+// 依赖在副作用函数的本次执行中是否已经被追踪过了
+// 依赖上只有一个追踪记录的位置：正在执行的副作用函数和它的执行编号，只在副作用函数执行期间有意义
+// 副作用函数依次执行时后一个直接覆盖前一个的记录，不需要任何 Map 操作
+function isTracked(deps, effectFn) {
+    return deps.trackEffect === effectFn && deps.trackId === effectFn.trackId
+}
+
+function markTracked(deps, effectFn) {
+    const trackEffect = deps.trackEffect
+    // 嵌套执行时，外层副作用函数还没有执行完，它的记录要在内层执行完之后还回去
+    if (trackEffect && trackEffect !== effectFn && effectStack.length > 1) {
+        effectFn.savedSlots.push(deps, trackEffect, deps.trackId)
+    }
+    deps.trackEffect = effectFn
+    deps.trackId = effectFn.trackId
+}
+
+// 逆序恢复被覆盖的追踪记录
+function restoreSlots(effectFn) {
+    const slots = effectFn.savedSlots
+    for (let i = slots.length - 3; i >= 0; i -= 3) {
+        // 已经停止的副作用函数不再需要记录，也不应该被依赖引用
+        if (slots[i + 1].active) {
+            slots[i].trackEffect = slots[i + 1]
+            slots[i].trackId = slots[i + 2]
+        }
+    }
+    slots.length = 0
+}
+
+// 断开依赖与副作用函数之间的联系，依赖不会再引用这个副作用函数
+function unlinkDep(deps, effectFn) {
+    deps.delete(effectFn)
+    if (deps.trackEffect === effectFn) deps.trackEffect = null
+}
+
+// 如果依赖在本次执行中没有被追踪，则断开它与副作用函数之间的联系
+function cleanupDepEffect(deps, effectFn) {
+    if (!isTracked(deps, effectFn)) unlinkDep(deps, effectFn)
+}
+
+// 副作用函数执行完毕后，depsLength 之后的依赖是上一次执行时读取、这一次没有读取的，将它们移除
+function finishTracking(effectFn) {
+    const { deps, depsLength } = effectFn
+    for (let i = depsLength; i < deps.length; i++) {
+        cleanupDepEffect(deps[i], effectFn)
+    }
+    deps.length = depsLength
+}
+
+// 创建 effect 作用域，detached 为 true 时不会被父作用域收集，需要手动停止
+function effectScope(detached = false) {
+    const scope = {
+        active: true,
+        // 作用域内创建的副作用函数
+        effects: [],
+        // 通过 onScopeDispose 注册的回调
+        cleanups: [],
+        // 嵌套的子作用域
+        scopes: [],
+        parent: detached ? undefined : activeEffectScope,
+        // 在作用域中执行 fn，fn 中创建的 effect、computed、watch 都会被收集
+        run(fn) {
+            if (!scope.active) {
+                console.warn('不能在已经停止的作用域中执行函数')
+                return
+            }
+            const prevScope = activeEffectScope
+            activeEffectScope = scope
+            try {
+                return fn()
+            } finally {
+                activeEffectScope = prevScope
+            }
+        },
+        // 停止作用域内所有的副作用函数、子作用域，并执行清理回调
+        stop(fromParent) {
+            if (!scope.active) return
+            scope.effects.forEach(stop)
+            scope.cleanups.forEach(fn => callWithErrorHandling(fn, null, ErrorTypes.CLEANUP))
+            scope.scopes.forEach(child => child.stop(true))
+            // 释放对副作用函数和子作用域的引用
+            scope.effects.length = 0
+            scope.cleanups.length = 0
+            scope.scopes.length = 0
+            // 由自己主动停止时，需要从父作用域中移除，避免父作用域一直持有它
+            if (scope.parent && !fromParent) {
+                const index = scope.parent.scopes.indexOf(scope)
+                if (index > -1) scope.parent.scopes.splice(index, 1)
+            }
+            scope.parent = undefined
+            scope.active = false
+        }
+    }
+    if (scope.parent) scope.parent.scopes.push(scope)
+    return scope
+}
+
+// 将副作用函数收集到作用域中
+function recordEffectScope(effectFn, scope = activeEffectScope) {
+    if (scope && scope.active) scope.effects.push(effectFn)
+}
+
+// 获取当前激活的作用域
+function getCurrentScope() {
+    return activeEffectScope
+}
+
+// 注册一个回调，当前作用域停止时执行
+function onScopeDispose(fn) {
+    if (activeEffectScope) {
+        activeEffectScope.cleanups.push(fn)
+    } else {
+        console.warn('onScopeDispose 需要在 effect 作用域中调用')
+    }
 }
 
 const ITERATE_KEY = Symbol()
+// Map 的 keys() 只关心键的增删，单独使用一个 key 建立联系，避免仅修改值时也触发它
+const MAP_KEY_ITERATE_KEY = Symbol()
+
+// 数组的遍历方法（map、forEach、for...of 等）只需要与这个 key 建立一次联系，数组的任何元素或长度变化时都会触发它
+const ARRAY_ITERATE_KEY = Symbol()
+
+// 数组的索引，例如 '0'、'12'
+function isIntegerKey(key) {
+    return typeof key === 'string' && String(Number(key) >>> 0) === key
+}
 
 const arrayInstrumentations = {}
 // 一个标记变量，代表是否进行追踪，默认值为true
 let shouldTrack = true
-['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+
+// 遍历数组之前，与 ARRAY_ITERATE_KEY 建立联系，返回原始数组，之后直接在原始数组上遍历，不会逐个追踪索引
+function iterateRaw(self) {
+    const raw = toRaw(self)
+    if (isReactive(self)) track(raw, ARRAY_ITERATE_KEY, TrackType.ITERATE)
+    return raw
+}
+
+// 将原始数组中的元素包装成与数组相同类型的代理对象
+function toWrapped(self, item) {
+    if (isShallow(self) || typeof item !== 'object' || item === null) return item
+    return getProxyObj(item, false, isReadonly(self))
+}
+
+// 查找方法：先使用参数原样查找，没有找到（-1 或 false）再使用参数的原始数据查找，因为原始数组中存储的是原始数据
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
     const originMethod = Array.prototype[method]
     arrayInstrumentations[method] = function (...args) {
-        // this 是代理对象，现在对象中查找，将结果存储到 res 中
-        let res = originMethod.apply(this, args)
-        // 如果没有找到，则通过 this.raw 拿到原始数组，再去其中查找并更新 res 的值
-        if (res === false) res = originMethod.apply(this.raw, args)
+        const raw = iterateRaw(this)
+        const res = originMethod.apply(raw, args)
+        if ((res === -1 || res === false) && isProxy(args[0])) {
+            return originMethod.apply(raw, [toRaw(args[0]), ...args.slice(1)])
+        }
         return res
     }
 })
-['push', 'pop', 'shift', 'unshift', 'splice'].forEach(method => {
+
+// 接收回调函数的遍历方法：回调函数拿到的是包装后的元素，第三个参数是代理数组本身
+;['forEach', 'map', 'filter', 'find', 'findIndex', 'findLast', 'findLastIndex', 'some', 'every'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (fn, thisArg) {
+        const raw = iterateRaw(this)
+        const res = originMethod.call(raw, (item, index) => fn.call(thisArg, toWrapped(this, item), index, this))
+        // filter 和 find 返回的是原始数组中的元素，同样需要包装
+        if (method === 'filter') return res.map(item => toWrapped(this, item))
+        if (method === 'find' || method === 'findLast') return toWrapped(this, res)
+        return res
+    }
+})
+
+;['reduce', 'reduceRight'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (fn, ...init) {
+        const raw = iterateRaw(this)
+        // 没有传入初始值时，第一个元素会作为累加值，也需要包装
+        let first = !init.length
+        return originMethod.call(raw, (acc, item, index) => {
+            if (first) {
+                first = false
+                acc = toWrapped(this, acc)
+            }
+            return fn(acc, toWrapped(this, item), index, this)
+        }, ...init)
+    }
+})
+
+// 迭代器：for...of、展开运算符等都会调用 Symbol.iterator
+;['values', 'entries', Symbol.iterator].forEach(method => {
+    arrayInstrumentations[method] = function () {
+        const inner = Array.prototype[method].call(iterateRaw(this))
+        return {
+            next: () => {
+                const { value, done } = inner.next()
+                if (done) return { value, done }
+                return {
+                    value: method === 'entries' ? [value[0], toWrapped(this, value[1])] : toWrapped(this, value),
+                    done,
+                }
+            },
+            [Symbol.iterator]() {
+                return this
+            },
+        }
+    }
+})
+
+// 修改数组的方法：执行期间不追踪（它们会隐式地读取 length），并在批量更新中执行，每次调用依赖它的副作用函数只会执行一次
+// 抛出错误时同样要恢复 shouldTrack 并结束批量更新
+;['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].forEach(method => {
     const originMethod = Array.prototype[method]
     arrayInstrumentations[method] = function (...args) {
+        const lastShouldTrack = shouldTrack
         shouldTrack = false
-        // this 是代理对象，现在对象中查找，将结果存储到 res 中
-        let res = originMethod.apply(this, args)
-        shouldTrack = true
-        return res
+        startBatch()
+        try {
+            return originMethod.apply(this, args)
+        } finally {
+            shouldTrack = lastShouldTrack
+            endBatch()
+        }
     }
 })
 
-// 定义一个Map实例，存储原始对象与代理对象的映射
-const reactiveMap = new Map()
+// 代理对象内部使用的标记，使用 Symbol 作为属性名，不会与用户数据重名
+const ReactiveFlags = {
+    // 通过该属性访问代理对象的原始数据
+    RAW: Symbol('raw'),
+    IS_REACTIVE: Symbol('isReactive'),
+    IS_READONLY: Symbol('isReadonly'),
+    IS_SHALLOW: Symbol('isShallow'),
+    // ref 和计算属性上的标记，见 实现ref.js 的 markRef
+    IS_REF: Symbol('isRef'),
+    // 被 markRaw 标记的对象永远不会被代理
+    SKIP: Symbol('skip'),
+}
 
-// 生成代理函数，是否是浅响应，是否是只读属性
-function getProxyObj(obj, isShallow = false, isReadonly = false) {
-    // 优先通过原始对象 obj 寻找之前创建的代理对象，如果找到了，直接返回已有的代理对象
-    const existionProxy = reactiveMap.get(obj)
-    if (existionProxy) return existionProxy
-    const proxy = new Proxy(obj, {
+// 判断是否是 ref，与 实现ref.js 的 isRef 相同，这里不能引入 实现ref.js，否则会循环依赖
+const isRefValue = value => !!(value && value[ReactiveFlags.IS_REF] === true)
+
+// 可以被代理的目标类型
+const TargetType = {
+    INVALID: 0,
+    COMMON: 1,
+    COLLECTION: 2,
+}
+
+// 根据 Object.prototype.toString 的结果判断目标类型，Date、RegExp、Promise 等内建对象依赖内部槽，无法被代理
+function getTargetType(value) {
+    // 被 markRaw 标记的、被冻结的或者不可扩展的对象都不代理
+    if (value[ReactiveFlags.SKIP] || !Object.isExtensible(value)) return TargetType.INVALID
+    switch (Object.prototype.toString.call(value).slice(8, -1)) {
+        case 'Object':
+        case 'Array':
+            return TargetType.COMMON
+        case 'Map':
+        case 'Set':
+        case 'WeakMap':
+        case 'WeakSet':
+            return TargetType.COLLECTION
+        default:
+            return TargetType.INVALID
+    }
+}
+
+// 严格模式下修改只读数据会抛出错误，否则只打印警告信息
+let strictReadonly = false
+function setStrictReadonly(enabled) {
+    strictReadonly = enabled
+}
+
+function warnReadonly(message) {
+    if (strictReadonly) throw new TypeError(message)
+    console.warn(message)
+}
+
+// 集合类型的方法都是通过 this 访问内部槽的，代理对象上没有这些槽，所以需要重写这些方法，在原始对象上调用
+// 根据是否浅响应、是否只读生成不同的方法集合，读取出来的值按照代理对象的模式进行包装
+function createCollectionInstrumentations(isShallow, isReadonly) {
+    // 读取出来的值如果是对象，则根据模式包装成对应的代理对象
+    const wrap = value => !isShallow && typeof value === 'object' && value !== null ? getProxyObj(value, isShallow, isReadonly) : value
+
+    // 只读集合的修改方法只打印警告信息
+    const readonlyMethod = method => function () {
+        warnReadonly(`集合是只读的，不能调用 ${method} 方法`)
+        // delete 返回 false，其他方法返回代理对象本身
+        return method === 'delete' ? false : method === 'clear' ? undefined : this
+    }
+
+    // 迭代器方法，entries 以及 Map 的 Symbol.iterator 产出的是 [key, value] 键值对
+    const iterationMethod = method => function () {
+        const target = this[ReactiveFlags.RAW]
+        const rawTarget = toRaw(target)
+        const isPair = method === 'entries' || (method === Symbol.iterator && rawTarget instanceof Map)
+        // keys() 只与键的增删建立联系，Set 没有键值之分，依然使用 ITERATE_KEY
+        const isKeyOnly = method === 'keys' && rawTarget instanceof Map
+        const itr = target[method]()
+        if (!isReadonly) track(rawTarget, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY, TrackType.ITERATE)
+        // 返回自定义的迭代器，它同时实现了可迭代协议
+        return {
+            next() {
+                const { value, done } = itr.next()
+                return {
+                    value: done ? value : isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+                    done
+                }
+            },
+            [Symbol.iterator]() {
+                return this
+            }
+        }
+    }
+
+    const instrumentations = {
+        get(key) {
+            const target = this[ReactiveFlags.RAW]
+            key = toRaw(key)
+            if (!isReadonly) track(toRaw(target), key, TrackType.GET)
+            // 如果读取的值是对象，则返回包装后的代理对象
+            return target.has(key) ? wrap(target.get(key)) : undefined
+        },
+        get size() {
+            const target = this[ReactiveFlags.RAW]
+            // size 与集合元素的增删有关，与 ITERATE_KEY 建立联系
+            if (!isReadonly) track(toRaw(target), ITERATE_KEY, TrackType.ITERATE)
+            return Reflect.get(target, 'size', target)
+        },
+        has(key) {
+            const target = this[ReactiveFlags.RAW]
+            key = toRaw(key)
+            if (!isReadonly) track(toRaw(target), key, TrackType.HAS)
+            return target.has(key)
+        },
+        forEach(callback, thisArg) {
+            const target = this[ReactiveFlags.RAW]
+            if (!isReadonly) track(toRaw(target), ITERATE_KEY, TrackType.ITERATE)
+            // 传给 callback 的参数也需要包装，第三个参数是代理对象本身
+            target.forEach((v, k) => callback.call(thisArg, wrap(v), wrap(k), this))
+        },
+        set(key, value) {
+            const target = toRaw(this)
+            key = toRaw(key)
+            // 判断设置的 key 是否存在，存在是 SET，不存在是 ADD
+            const had = target.has(key)
+            const oldValue = target.get(key)
+            // 把原始数据设置到 target 上
+            value = toRaw(value)
+            target.set(key, value)
+            if (!had) {
+                recordMutation(target, key, TriggerType.ADD, value)
+                trigger(target, key, TriggerType.ADD, value)
+            } else if (oldValue !== value && (oldValue === oldValue || value === value)) {
+                recordMutation(target, key, TriggerType.SET, value, oldValue)
+                trigger(target, key, TriggerType.SET, value, oldValue)
+            }
+            return this
+        },
+        add(value) {
+            const target = toRaw(this)
+            value = toRaw(value)
+            // 值已经存在时不需要触发响应
+            const had = target.has(value)
+            if (!had) {
+                target.add(value)
+                recordMutation(target, value, TriggerType.ADD, value)
+                trigger(target, value, TriggerType.ADD, value)
+            }
+            return this
+        },
+        delete(key) {
+            const target = toRaw(this)
+            key = toRaw(key)
+            const had = target.has(key)
+            // Set 没有 get 方法，被删除的值就是 key 本身
+            const oldValue = target.get ? target.get(key) : key
+            const res = target.delete(key)
+            // 只有要删除的元素确实存在时才触发响应
+            if (had) {
+                recordMutation(target, key, TriggerType.DELETE, undefined, oldValue)
+                trigger(target, key, TriggerType.DELETE, undefined, oldValue)
+            }
+            return res
+        },
+        clear() {
+            const target = toRaw(this)
+            const hadItems = target.size !== 0
+            // 清空之前复制一份，作为 oldValue 传给 trigger
+            const oldTarget = target instanceof Map ? new Map(target) : new Set(target)
+            const res = target.clear()
+            if (hadItems) {
+                recordMutation(target, undefined, TriggerType.CLEAR, undefined, oldTarget)
+                trigger(target, undefined, TriggerType.CLEAR, undefined, oldTarget)
+            }
+            return res
+        },
+    }
+
+    if (isReadonly) {
+        ['set', 'add', 'delete', 'clear'].forEach(method => {
+            instrumentations[method] = readonlyMethod(method)
+        })
+    }
+
+    ['keys', 'values', 'entries', Symbol.iterator].forEach(method => {
+        instrumentations[method] = iterationMethod(method)
+    })
+
+    return instrumentations
+}
+
+// 四种模式各自的集合方法，下标依次为：普通、浅响应、只读、浅只读
+const collectionInstrumentations = [
+    createCollectionInstrumentations(false, false),
+    createCollectionInstrumentations(true, false),
+    createCollectionInstrumentations(false, true),
+    createCollectionInstrumentations(true, true),
+]
+
+// 集合类型的代理只需要拦截 get，所有的读写都是通过方法调用（以及 size 访问器）完成的
+function createCollectionHandlers(isShallow, isReadonly) {
+    const instrumentations = collectionInstrumentations[(isShallow ? 1 : 0) + (isReadonly ? 2 : 0)]
+    return {
+        get(target, key, receiver) {
+            // 读取内部标记
+            const flag = getReactiveFlag(target, key, receiver, isShallow, isReadonly)
+            if (flag !== NOT_FLAG) return flag
+            // 只有当 target 本身拥有该方法时才使用重写后的方法，例如 WeakMap 上没有 size、forEach 和迭代器
+            if (instrumentations.hasOwnProperty(key) && key in target) {
+                return Reflect.get(instrumentations, key, receiver)
+            }
+            return Reflect.get(target, key, target)
+        }
+    }
+}
+
+// 读取内部标记时返回的特殊值，代表 key 不是内部标记
+const NOT_FLAG = Symbol()
+
+// 处理内部标记的读取
+function getReactiveFlag(target, key, receiver, isShallow, isReadonly) {
+    if (key === ReactiveFlags.IS_REACTIVE) return !isReadonly
+    if (key === ReactiveFlags.IS_READONLY) return isReadonly
+    if (key === ReactiveFlags.IS_SHALLOW) return isShallow
+    if (key === ReactiveFlags.RAW) {
+        // 只有 receiver 就是 target 的代理对象时才返回原始数据，通过原型链访问时不返回，从而可以屏蔽由原型引起的更新
+        return receiver === getProxyMap(isShallow, isReadonly).get(target) ? target : undefined
+    }
+    return NOT_FLAG
+}
+
+// 普通对象和数组的拦截函数
+function createBaseHandlers(isShallow, isReadonly) {
+    return {
         // 拦截读取操作
-        get(target, key, receiver) { // receiver 当前对象，可以
-            // 代理对象可以通过 raw 属性访问原始数据，有重名风险，这个方法很不妥
-            if (key === 'raw') return target
+        get(target, key, receiver) {
+            // 读取内部标记，代理对象可以通过 ReactiveFlags.RAW 访问原始数据
+            const flag = getReactiveFlag(target, key, receiver, isShallow, isReadonly)
+            if (flag !== NOT_FLAG) return flag
 
             if (Array.isArray(target) && arrayInstrumentations.hasOwnProperty(key)) {
                 return Reflect.get(arrayInstrumentations, key, receiver)
@@ -97,11 +673,13 @@ function getProxyObj(obj, isShallow = false, isReadonly = false) {
 
             // 处理副作用函数，非只读的时候才建立响应式联系
             // 如果 key 的类型是 symbol，则不进行追踪
-            if (!isReadonly && typeof key !== 'symbol') track(target, key)
+            if (!isReadonly && typeof key !== 'symbol') track(target, key, TrackType.GET)
             // 得到原始值结果
             const res = Reflect.get(target, key, receiver)
             // 如果是浅响应，直接返回
             if (isShallow) return res
+            // 如果读取到的是 ref，则自动脱 ref 返回它的 value，数组通过索引读取时保持原样
+            if (isRefValue(res) && !(Array.isArray(target) && String(Number(key)) === key)) return res.value
             // 如果是对象，则将结果包装成响应式数据并返回
             if (typeof res === 'object' && res !== null) return getProxyObj(res, isShallow, isReadonly)
             // 使用 Reflect.get 返回读取到的属性值
@@ -109,64 +687,179 @@ function getProxyObj(obj, isShallow = false, isReadonly = false) {
         },
         // 拦截 in 操作符读取属性的操作
         has(target, key) {
-            track(target, key)
+            track(target, key, TrackType.HAS)
             return Reflect.has(target, key)
         },
         // 间接拦截 for...in 循环
         ownKeys(target) {
             // 将副作用函数与 ITERATE_KEY 关联，如果操作目标是数组，则使用 length 作为 key 去建立响应式的联系
-            track(target, Array.isArray(target) ? 'length' : ITERATE_KEY)
+            track(target, Array.isArray(target) ? 'length' : ITERATE_KEY, TrackType.ITERATE)
             return Reflect.ownKeys(target)
         },
         // 拦截设置操作
         set(target, key, newValue, receiver) {
-            // 如果是只读对象，则打印警告信息并返回
+            // 如果是只读对象，则打印警告信息并返回，严格模式下抛出错误
             if (isReadonly) {
-                console.warn(`属性 ${key} 是只读的`)
+                warnReadonly(`属性 ${String(key)} 是只读的`)
                 return true
             }
-            // 先获取旧值
-            const oldValue = target[key]
-            // 如果是数组，则判断设置的索引值是否小雨数组长度，如果属性不存在，则说明是在添加属性，否则是设置已有属性
-            const type = Array.isArray(target) ? Number(key) < target.length ? TriggerType.SET : TriggerType.ADD : Object.prototype.hasOwnProperty.call(target, key) ? TriggerType.SET : TriggerType.ADD
-            // 给属性重新赋值
-            const res = Reflect.set(target, key, newValue, receiver)
-            // 说明 receiver 就是 target 的代理对象，屏蔽由原型引起的更新，避免不必要的更新操作
-            if (target === receiver.raw) {
-                // 比较新值与旧值，当不全等的时候，且都不是 NaN 的时候才触发响应
-                if (oldValue !== newValue && (oldValue === oldValue || newValue === newValue)) {
-                    // 执行副作用函数
-                    trigger(target, key, type, newValue)
-                }
+            // 非浅响应时，把原始数据设置到 target 上，避免数据污染
+            if (!isShallow) newValue = toRaw(newValue)
+            // 注册了写入拦截器时，由拦截器决定是否写入，原型链上的写入不拦截
+            const interceptor = writeInterceptors.get(target)
+            if (interceptor && target === toRaw(receiver)) {
+                return interceptor(target, key, newValue, () => setProperty(target, key, newValue, receiver), false)
             }
-            return res
+            return setProperty(target, key, newValue, receiver)
         },
         // 拦截删除属性操作
         deleteProperty(target, key) {
-            // 如果是只读对象，则打印警告信息并返回
+            // 如果是只读对象，则打印警告信息并返回，严格模式下抛出错误
             if (isReadonly) {
-                console.warn(`属性 ${key} 是只读的`)
+                warnReadonly(`属性 ${String(key)} 是只读的`)
                 return true
             }
-            // 检查被操作的属性是否是对象自己的属性
-            const hadKey = Object.prototype.hasOwnProperty.call(target, key)
-            // 使用 Reflect.deleteProperty 完成属性的删除
-            const res = Reflect.deleteProperty(target, key)
-            // 只有当被删除的属性是对象自己的属性且删除成功时，才触发更新
-            if (res && hadKey) {
-                trigger(target, key, TriggerType.DELETE)
+            const interceptor = writeInterceptors.get(target)
+            if (interceptor) return interceptor(target, key, undefined, () => deleteProperty(target, key), true)
+            return deleteProperty(target, key)
+        }
+    }
+
+    // 完成属性的设置并触发响应
+    function setProperty(target, key, newValue, receiver) {
+        // 先获取旧值
+        const oldValue = target[key]
+        // 如果旧值是 ref 而新值不是，则将新值设置到 ref 的 value 上，由 ref 自己触发响应
+        if (!isShallow && !Array.isArray(target) && isRefValue(oldValue) && !isRefValue(newValue)) {
+            oldValue.value = newValue
+            return true
+        }
+        // 数组在设置索引时可能会隐式地修改长度，撤销修改时需要恢复
+        const oldLength = Array.isArray(target) ? target.length : undefined
+        // 通过 length 截断数组时，被截掉的元素也要记录下来，撤销时才能恢复（slice 会保留其中的空位）
+        const removed = key === 'length' && oldLength > newValue && (activeTransaction || mutationListeners.size) ? target.slice(newValue) : undefined
+        // 如果是数组，则判断设置的索引值是否小雨数组长度，如果属性不存在，则说明是在添加属性，否则是设置已有属性
+        const type = Array.isArray(target) ? Number(key) < target.length ? TriggerType.SET : TriggerType.ADD : Object.prototype.hasOwnProperty.call(target, key) ? TriggerType.SET : TriggerType.ADD
+        // 给属性重新赋值
+        const res = Reflect.set(target, key, newValue, receiver)
+        // 说明 receiver 就是 target 的代理对象，屏蔽由原型引起的更新，避免不必要的更新操作
+        if (target === toRaw(receiver)) {
+            // 比较新值与旧值，当不全等的时候，且都不是 NaN 的时候才触发响应
+            if (oldValue !== newValue && (oldValue === oldValue || newValue === newValue)) {
+                recordMutation(target, key, type, newValue, oldValue, oldLength, removed)
+                // 执行副作用函数
+                trigger(target, key, type, newValue, oldValue)
             }
-            return res
         }
-    })
-    // 存储到 Map 中，避免重复创建
-    reactiveMap.set(obj, proxy);
-    return proxy;
+        return res
+    }
+
+    // 完成属性的删除并触发响应
+    function deleteProperty(target, key) {
+        // 检查被操作的属性是否是对象自己的属性
+        const hadKey = Object.prototype.hasOwnProperty.call(target, key)
+        const oldValue = target[key]
+        // 使用 Reflect.deleteProperty 完成属性的删除
+        const res = Reflect.deleteProperty(target, key)
+        // 只有当被删除的属性是对象自己的属性且删除成功时，才触发更新
+        if (res && hadKey) {
+            recordMutation(target, key, TriggerType.DELETE, undefined, oldValue)
+            trigger(target, key, TriggerType.DELETE, undefined, oldValue)
+        }
+        return res
+    }
+}
+
+// 四种模式各自使用一个 WeakMap 存储原始对象与代理对象的映射，不会阻止原始对象被垃圾回收
+const reactiveMap = new WeakMap()
+const shallowReactiveMap = new WeakMap()
+const readonlyMap = new WeakMap()
+const shallowReadonlyMap = new WeakMap()
+
+function getProxyMap(isShallow, isReadonly) {
+    if (isReadonly) return isShallow ? shallowReadonlyMap : readonlyMap
+    return isShallow ? shallowReactiveMap : reactiveMap
+}
+
+// 生成代理函数，是否是浅响应，是否是只读属性
+function getProxyObj(obj, isShallow = false, isReadonly = false) {
+    // 原始值不能被代理
+    if (typeof obj !== 'object' || obj === null) {
+        console.warn(`值 ${String(obj)} 不能被代理`)
+        return obj
+    }
+    // 已经是代理对象了，直接返回，只有 readonly 包裹响应式对象时例外
+    if (obj[ReactiveFlags.RAW] && !(isReadonly && obj[ReactiveFlags.IS_REACTIVE])) return obj
+    // 优先通过原始对象 obj 寻找之前创建的代理对象，如果找到了，直接返回已有的代理对象
+    const proxyMap = getProxyMap(isShallow, isReadonly)
+    const existionProxy = proxyMap.get(obj)
+    if (existionProxy) return existionProxy
+    // 被冻结的、被 markRaw 标记的以及 Date 等内建对象直接返回
+    const targetType = getTargetType(obj)
+    if (targetType === TargetType.INVALID) return obj
+    // 集合类型使用专门的拦截函数
+    const proxy = new Proxy(obj, targetType === TargetType.COLLECTION ? createCollectionHandlers(isShallow, isReadonly) : createBaseHandlers(isShallow, isReadonly))
+    // 存储到 WeakMap 中，避免重复创建
+    proxyMap.set(obj, proxy)
+    return proxy
+}
+
+// 深响应
+function reactive(obj) {
+    return getProxyObj(obj)
+}
+
+// 浅响应，只有第一层属性是响应式的
+function shallowReactive(obj) {
+    return getProxyObj(obj, true)
+}
+
+// 深只读
+function readonly(obj) {
+    return getProxyObj(obj, false, true)
 }
-// 在 getter 拦截函数内调用 track 函数追踪变化
-function track(target, key) {
+
+// 浅只读，只有第一层属性是只读的
+function shallowReadonly(obj) {
+    return getProxyObj(obj, true, true)
+}
+
+// 是否是 reactive 或 shallowReactive 创建的代理对象，readonly 包裹的响应式对象也算
+function isReactive(value) {
+    if (isReadonly(value)) return isReactive(value[ReactiveFlags.RAW])
+    return !!(value && value[ReactiveFlags.IS_REACTIVE])
+}
+
+function isReadonly(value) {
+    return !!(value && value[ReactiveFlags.IS_READONLY])
+}
+
+function isShallow(value) {
+    return !!(value && value[ReactiveFlags.IS_SHALLOW])
+}
+
+function isProxy(value) {
+    return isReactive(value) || isReadonly(value)
+}
+
+// 取得代理对象的原始数据，readonly 包裹响应式对象时需要递归获取
+function toRaw(observed) {
+    const raw = observed && observed[ReactiveFlags.RAW]
+    return raw ? toRaw(raw) : observed
+}
+
+// 标记一个对象，使其永远不会被代理
+function markRaw(value) {
+    if (Object.isExtensible(value)) {
+        Object.defineProperty(value, ReactiveFlags.SKIP, { value: true, configurable: true })
+    }
+    return value
+}
+
+// 在 getter 拦截函数内调用 track 函数追踪变化，type 是追踪操作的类型，默认为 get
+function track(target, key, type = TrackType.GET) {
     // 没有副作用函数，直接 return
-    if (!activeEffect || !shouldTrack) return target[key]
+    if (!activeEffect || !shouldTrack) return
     // 根据 target 从副作用函数库里取出 depsMap，它是一个 Map 类型：key --> effects
     let depsMap = bucket.get(target)
     // 如果不存在 depsMap，就新建一个 Map 并与 target 相关联
@@ -174,33 +867,62 @@ function track(target, key) {
     // 再根据 key 从 depsMap 中获取 deps，它是一个 Set 类型，里面存储着所有与当前 key 相关联的副作用函数：effects
     let deps = depsMap.get(key)
     // 如果 deps 不存在，同样新建一个 Set 并于 key 相关联
-    if (!deps) depsMap.set(key, (deps = new Set()))
-    // 将当前激活的副作用函数存储到副作用函数库中
-    deps.add(activeEffect)
-    // 将其添加到 activeEffect.deps 数组中
-    activeEffect.deps.push(deps)
+    if (!deps) {
+        depsMap.set(key, (deps = new Set()))
+        depInfoMap.set(deps, { target, key })
+    }
+    if (diffTracking) {
+        // 本次执行已经追踪过这个依赖了
+        if (isTracked(deps, activeEffect)) return
+        markTracked(deps, activeEffect)
+        // 与上一次执行时同一位置的依赖比较，相同则什么都不用做，这是最常见的情况
+        const oldDeps = activeEffect.deps[activeEffect.depsLength]
+        if (oldDeps !== deps) {
+            // 不同则用新的依赖替换它，旧的依赖如果本次执行还没有读取过，就先断开联系，之后读取到时会重新建立
+            if (oldDeps) cleanupDepEffect(oldDeps, activeEffect)
+            deps.add(activeEffect)
+            activeEffect.deps[activeEffect.depsLength] = deps
+        }
+        activeEffect.depsLength++
+    } else {
+        // 已经建立过联系了，不需要重复添加
+        if (deps.has(activeEffect)) return
+        // 将当前激活的副作用函数存储到副作用函数库中
+        deps.add(activeEffect)
+        // 将其添加到 activeEffect.deps 数组中
+        activeEffect.deps.push(deps)
+    }
+    // 调用 onTrack 调试钩子，告诉用户副作用函数读取了哪个对象的哪个属性
+    if (activeEffect.options.onTrack || debugHooks.size) {
+        const event = { effect: activeEffect, target, key, type }
+        if (activeEffect.options.onTrack) activeEffect.options.onTrack(event)
+        debugHooks.forEach(hook => hook.onTrack && hook.onTrack(event))
+    }
 }
 
-// 在setter 拦截函数中调用 trigger 函数触发变化
-function trigger(target, key, type, newValue) {
+// 在setter 拦截函数中调用 trigger 函数触发变化，oldValue 是修改之前的值，用于 onTrigger 调试钩子
+function trigger(target, key, type, newValue, oldValue) {
     //  根据 target 从 副作用函数库中取出 depsMap，它是 key --> effects
     const depsMap = bucket.get(target)
-    // 如果不存在 depsMap，直接返回
-    if (!depsMap) return
+    // 如果不存在 depsMap，说明没有副作用函数依赖它，通知全局调试钩子后直接返回
+    if (!depsMap) {
+        if (debugHooks.size) notifyTriggerHooks({ target, key, type, newValue, oldValue, effects: [] })
+        return
+    }
     // 根据 key 取得所有的副作用函数 effects
     const effects = depsMap.get(key)
 
-    const effectsToRun = new Set(effects)
+    const effectsToRun = new Set()
 
     effects && effects.forEach(effect => {
         // 如果 trigger 触发执行的副作用函数与当前正在执行的副作用函数相同，则不触发执行，避免如 i++ 等的重复触发（递归调用）
         if (effect !== activeEffect) effectsToRun.add(effect)
     })
 
-    // 如果操作对象是数组且修改了数组的length值
+    // 如果操作对象是数组且修改了数组的length值，索引大于等于新长度的元素被删除了，需要触发与它们相关联的副作用函数
     if (Array.isArray(target) && key === 'length') {
         depsMap.forEach((effects, key) => {
-            if (key >= newValue) {
+            if (isIntegerKey(key) && Number(key) >= newValue) {
                 effects.forEach(effect => {
                     if (effect !== activeEffect) effectsToRun.add(effect)
                 })
@@ -208,6 +930,14 @@ function trigger(target, key, type, newValue) {
         })
     }
 
+    // 数组的元素或长度发生任何变化时，遍历数组的副作用函数都需要重新执行
+    if (Array.isArray(target) && (key === 'length' || isIntegerKey(key))) {
+        const arrayIterateEffects = depsMap.get(ARRAY_ITERATE_KEY)
+        arrayIterateEffects && arrayIterateEffects.forEach(effect => {
+            if (effect !== activeEffect) effectsToRun.add(effect)
+        })
+    }
+
     // 当操作类型为 add 且 目标对象是数组时，应该取出并执行那些与 length 属性相关联的副作用函数
     if (type === TriggerType.ADD && Array.isArray(target)) {
         const lengthEffects = depsMap.get('length')
@@ -216,7 +946,8 @@ function trigger(target, key, type, newValue) {
         })
     }
     // 当操作类型为 ADD 或 DELETE 时，需要触发与 ITERATE_KEY 相关联的副作用函数重新执行
-    if (type === TriggerType.ADD || type === TriggerType.DELETE) {
+    // 如果操作类型是 SET 且目标是 Map，forEach、values、entries 等同样关心值的变化，也需要触发
+    if (type === TriggerType.ADD || type === TriggerType.DELETE || (type === TriggerType.SET && target instanceof Map)) {
         // 取得与 ITERATE_KEY 相关联的副作用函数
         const iterateEffects = depsMap.get(ITERATE_KEY)
         // 将与 ITERATE_KEY 相关联的副作用函数也添加到 effectsToRun
@@ -225,73 +956,383 @@ function trigger(target, key, type, newValue) {
         })
     }
 
-    // 执行副作用函数
-    effectsToRun.forEach(effect => {
+    // Map 的 keys() 只在键增删时重新执行
+    if ((type === TriggerType.ADD || type === TriggerType.DELETE) && target instanceof Map) {
+        const keyIterateEffects = depsMap.get(MAP_KEY_ITERATE_KEY)
+        keyIterateEffects && keyIterateEffects.forEach(effect => {
+            if (effect !== activeEffect) effectsToRun.add(effect)
+        })
+    }
+
+    // 集合被清空时，所有与之相关联的副作用函数都需要重新执行
+    if (type === TriggerType.CLEAR) {
+        depsMap.forEach(effects => {
+            effects.forEach(effect => {
+                if (effect !== activeEffect) effectsToRun.add(effect)
+            })
+        })
+    }
+
+    // 全局调试钩子每次 trigger 只通知一次，并带上所有将要执行的副作用函数
+    if (debugHooks.size) notifyTriggerHooks({ target, key, type, newValue, oldValue, effects: [...effectsToRun] })
+
+    // 执行副作用函数，响应式数据本身发生了变化，依赖它的副作用函数一定是脏的
+    triggerEffects(effectsToRun, DirtyLevels.DIRTY, { target, key, type, newValue, oldValue })
+    // effects && effects.forEach(effect => effect())
+}
+
+// 计算属性的值变化时（或可能变化时）通知依赖它的副作用函数，dirtyLevel 表示变化的确定程度
+function triggerRefValue(ref, dirtyLevel = DirtyLevels.DIRTY, newValue, oldValue) {
+    const depsMap = bucket.get(ref)
+    const effects = depsMap && depsMap.get('value')
+    if (!effects) return
+    const effectsToRun = new Set()
+    effects.forEach(effect => {
+        if (effect !== activeEffect) effectsToRun.add(effect)
+    })
+    triggerEffects(effectsToRun, dirtyLevel, { target: ref, key: 'value', type: TriggerType.SET, newValue, oldValue })
+}
+
+// 等待执行的副作用函数，在计算属性的脏标记全部传播完成之后（或者最外层的 batch 结束之后）再执行，这样它们不会读取到中间状态
+const pendingEffects = []
+// 批量更新的嵌套深度，大于 0 时副作用函数只会被收集，不会执行
+let batchDepth = 0
+
+// 开始批量更新
+function startBatch() {
+    batchDepth++
+}
+
+// 结束批量更新，最外层的批量更新结束时，统一执行收集到的副作用函数，每个副作用函数只会执行一次
+function endBatch() {
+    batchDepth--
+    if (!batchDepth) flushPendingEffects()
+}
+
+// 在批量更新中执行 fn，fn 中的多次修改只会使依赖它们的副作用函数执行一次
+function batch(fn) {
+    startBatch()
+    try {
+        return fn()
+    } finally {
+        endBatch()
+    }
+}
+
+// 当前正在进行的事务，记录了事务中的每一次修改
+let activeTransaction = null
+// 修改监听器，每一次通过代理对象进行的修改都会通知它们，例如 实现撤销重做.js 中的历史记录
+const mutationListeners = new Set()
+
+// 添加修改监听器，返回移除该监听器的函数
+function addMutationListener(listener) {
+    mutationListeners.add(listener)
+    return () => mutationListeners.delete(listener)
+}
+
+// 代理对象修改原始数据之后调用，target 是原始对象，oldLength 是数组修改前的长度，removed 是通过 length 截断数组时被截掉的元素
+function recordMutation(target, key, type, newValue, oldValue, oldLength, removed) {
+    if (!activeTransaction && !mutationListeners.size) return
+    const mutation = { target, key, type, newValue, oldValue, oldLength }
+    if (removed) mutation.removed = removed
+    if (activeTransaction) activeTransaction.push(mutation)
+    mutationListeners.forEach(listener => listener(mutation))
+}
+
+// 对 obj 执行一次修改的逆操作，obj 可以是代理对象，也可以是原始对象
+function applyInverse(obj, { target, key, type, newValue, oldValue, oldLength, removed }) {
+    if (target instanceof Map || target instanceof Set) {
+        if (type === TriggerType.CLEAR) {
+            oldValue.forEach((v, k) => target instanceof Map ? obj.set(k, v) : obj.add(v))
+        } else if (type === TriggerType.ADD) {
+            obj.delete(key)
+        } else {
+            target instanceof Map ? obj.set(key, oldValue) : obj.add(key)
+        }
+        return
+    }
+    // 数组的 length 直接恢复即可
+    if (!(Array.isArray(target) && key === 'length')) {
+        if (type === TriggerType.ADD) {
+            delete obj[key]
+        } else {
+            obj[key] = oldValue
+        }
+    }
+    if (oldLength !== undefined && obj.length !== oldLength) obj.length = oldLength
+    // 恢复被截掉的元素，forEach 会跳过原来的空位
+    if (removed) removed.forEach((value, i) => { obj[Number(newValue) + i] = value })
+}
+
+// 撤销一次修改，replay 为 true 时通过代理对象重新执行，由代理对象触发响应，否则直接修改原始数据并手动触发
+function revertMutation(mutation, replay = false) {
+    const { target, key, type, newValue, oldValue, oldLength, removed } = mutation
+    if (replay) {
+        applyInverse(getProxyObj(target), mutation)
+        return
+    }
+    const length = Array.isArray(target) ? target.length : undefined
+    applyInverse(target, mutation)
+    const inverseType = type === TriggerType.ADD ? TriggerType.DELETE : type === TriggerType.DELETE ? TriggerType.ADD : type
+    const restored = []
+    // 一次撤销可能触发多次，副作用函数只需要执行一次
+    batch(() => {
+        // 恢复的元素会影响所有与之相关的副作用函数，与清空时一样触发
+        trigger(target, key, inverseType, inverseType === TriggerType.CLEAR ? undefined : oldValue, newValue)
+        if (oldLength !== undefined && length !== oldLength) {
+            trigger(target, 'length', TriggerType.SET, oldLength, length)
+        }
+        // 被截掉的元素重新添加回来
+        if (removed) {
+            removed.forEach((value, i) => {
+                const index = String(Number(newValue) + i)
+                trigger(target, index, TriggerType.ADD, value)
+                restored.push({ target, key: index, type: TriggerType.ADD, newValue: value, oldLength })
+            })
+        }
+    })
+    // 撤销同样是一次修改，也要通知监听器，这样监听器记录的修改与撤销会相互抵消
+    // 清空的逆操作是逐个添加原来的元素
+    const inverses = type === TriggerType.CLEAR
+        ? [...oldValue.entries()].map(([k, v]) => ({ target, key: k, type: TriggerType.ADD, newValue: v }))
+        : [{ target, key, type: inverseType, newValue: oldValue, oldValue: newValue, oldLength: length }, ...restored]
+    inverses.forEach(inverse => mutationListeners.forEach(listener => listener(inverse)))
+}
+
+// 在事务中执行 fn，fn 中通过代理对象进行的修改在结束后才会触发副作用函数
+// 如果 fn 抛出错误，则逆序撤销所有的修改，并且不会执行任何副作用函数，然后把错误继续抛出
+function transaction(fn) {
+    const log = []
+    const parentTransaction = activeTransaction
+    // 在事务开始之前就已经在等待执行的副作用函数（外层的 batch 收集的）不能被丢弃
+    const pendingStart = pendingEffects.length
+    activeTransaction = log
+    startBatch()
+    try {
+        const res = fn()
+        // 嵌套的事务成功时，将它的修改合并到外层事务中，外层事务失败时一起撤销
+        if (parentTransaction) parentTransaction.push(...log)
+        return res
+    } catch (err) {
+        activeTransaction = parentTransaction
+        // 逆序撤销，撤销时同样会调用 trigger，从而让计算属性重新变脏
+        for (let i = log.length - 1; i >= 0; i--) {
+            revertMutation(log[i])
+        }
+        // 丢弃事务中收集的副作用函数，数据已经恢复原样，它们不需要执行
+        pendingEffects.splice(pendingStart).forEach(effect => {
+            effect.dirtyLevel = DirtyLevels.NOT_DIRTY
+        })
+        throw err
+    } finally {
+        activeTransaction = parentTransaction
+        endBatch()
+    }
+}
+
+// 分两个阶段通知副作用函数：先把脏标记沿着计算属性一路传播下去，再执行普通的副作用函数
+function triggerEffects(effects, dirtyLevel, event) {
+    startBatch()
+    try {
+        effects.forEach(effect => {
+            const lastDirtyLevel = effect.dirtyLevel
+            if (lastDirtyLevel < dirtyLevel) effect.dirtyLevel = dirtyLevel
+            // 调用 onTrigger 调试钩子，告诉用户是哪些修改导致了副作用函数重新执行
+            // 批量更新中的每一次修改都会调用，即使副作用函数已经被通知过，它也只会执行一次
+            if (effect.options.onTrigger) effect.options.onTrigger({ effect, ...event })
+            // 已经被通知过了，只需要提升脏标记，避免重复执行
+            if (lastDirtyLevel !== DirtyLevels.NOT_DIRTY) return
+            if (effect.options.computed) {
+                // 计算属性不会立即重新计算，它的调度器只负责把"可能变脏"继续传播给依赖它的副作用函数
+                effect.options.scheduler(effect)
+            } else {
+                pendingEffects.push(effect)
+            }
+        })
+    } finally {
+        endBatch()
+    }
+}
+
+function flushPendingEffects() {
+    while (pendingEffects.length) {
+        const effect = pendingEffects.shift()
+        if (!effect.active) continue
+        // 只是可能变脏时，先读取它依赖的计算属性，确认它们的值是否真的发生了变化
+        checkDirty(effect)
+        if (effect.dirtyLevel !== DirtyLevels.DIRTY) continue
+        effect.dirtyLevel = DirtyLevels.NOT_DIRTY
         // 如果一个副作用函数存在调度器，则调用该调度器，并将副作用函数作为参数传递
+        // 抛出的错误不会中断其他副作用函数的执行
         if (effect.options.scheduler) {
-            effect.options.scheduler(effect)
+            callWithErrorHandling(effect.options.scheduler, effect, ErrorTypes.SCHEDULER, [effect])
         } else {
             // 否则直接执行副作用函数
-            effect()
+            callWithErrorHandling(effect, effect, ErrorTypes.EFFECT)
         }
-    })
-    // effects && effects.forEach(effect => effect())
+    }
+}
+
+// 对于 MAYBE_DIRTY 的副作用函数，依次读取它依赖的计算属性，计算属性的值真的变化时会把它标记为 DIRTY
+// 检查完成后如果依然不是 DIRTY，则说明不需要重新执行，将其标记为 NOT_DIRTY
+function checkDirty(effectFn) {
+    if (effectFn.dirtyLevel !== DirtyLevels.MAYBE_DIRTY) return
+    // 读取计算属性只是为了检查，不能与当前正在执行的副作用函数建立联系
+    const lastShouldTrack = shouldTrack
+    shouldTrack = false
+    try {
+        for (const deps of effectFn.deps.slice()) {
+            const info = depInfoMap.get(deps)
+            const computed = info && info.target
+            if (computed && computed.effect && computed.effect.options.computed) {
+                computed.value
+                if (effectFn.dirtyLevel === DirtyLevels.DIRTY) break
+            }
+        }
+    } finally {
+        shouldTrack = lastShouldTrack
+    }
+    if (effectFn.dirtyLevel === DirtyLevels.MAYBE_DIRTY) effectFn.dirtyLevel = DirtyLevels.NOT_DIRTY
+}
+
+// 取得某个原始对象的 depsMap：key --> effects，用于检查依赖图
+function getDepsMap(target) {
+    return bucket.get(toRaw(target))
+}
+
+// 取得依赖集合所属的对象和属性
+function getDepInfo(deps) {
+    return depInfoMap.get(deps)
 }
 
-// 定义一个任务队列
-const jobQueue = new Set()
-// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
-const p = Promise.resolve()
-
-// 一个代表是否正在刷新队列的标志
-let isFlushing = false
-// 刷新任务队列函数
-function flushJob() {
-    // 如果任务队列正在刷新，什么也不做
-    if (isFlushing) return
-    // 开启任务队列刷新
-    isFlushing = true
-    // 在微任务中刷新队列
-    p.then(() => {
-        jobQueue.forEach(job => job())
-    }).finally(() => {
-        // 刷新队列结束
-        isFlushing = false
+// 取得所有还没有停止、也没有被垃圾回收的副作用函数
+function getActiveEffects() {
+    const effects = []
+    effectRefs.forEach(ref => {
+        const effectFn = ref.deref()
+        if (effectFn && effectFn.active) effects.push(effectFn)
     })
+    return effects
 }
 
+function notifyTriggerHooks(event) {
+    debugHooks.forEach(hook => hook.onTrigger && hook.onTrigger(event))
+}
 
-const testObj = getProxyObj(
-    {
-        name: 'Tom',
-        age: 18
-    }
-)
+module.exports = {
+    ErrorTypes,
+    setErrorHandler,
+    setDiffTracking,
+    handleError,
+    callWithErrorHandling,
+    TriggerType,
+    TrackType,
+    DirtyLevels,
+    ITERATE_KEY,
+    MAP_KEY_ITERATE_KEY,
+    ARRAY_ITERATE_KEY,
+    effect,
+    stop,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    track,
+    trigger,
+    triggerRefValue,
+    checkDirty,
+    startBatch,
+    endBatch,
+    batch,
+    transaction,
+    addMutationListener,
+    interceptWrites,
+    revertMutation,
+    addDebugHook,
+    getDepsMap,
+    getDepInfo,
+    getActiveEffects,
+    ReactiveFlags,
+    getProxyObj,
+    reactive,
+    shallowReactive,
+    readonly,
+    shallowReadonly,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
+    toRaw,
+    markRaw,
+    setStrictReadonly,
+}
 
-effect(() => {
-    for (let prop in testObj) {
-        console.log(testObj[prop])
-    }
-},
-    // options
-    {
-        // // 调度器 scheduler 是一个函数
-        // scheduler(fn) {
-        //     // 将副作用函数放到微任务队列里执行
-        //     // const p = Promise.resolve()
-        //     // p.then(() => fn())
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const testObj = getProxyObj(
+        {
+            name: 'Tom',
+            age: 18
+        }
+    )
+
+    effect(() => {
+        for (let prop in testObj) {
+            console.log(testObj[prop])
+        }
+    },
+        // options
+        {
+            // // 调度器 scheduler 是一个函数
+            // scheduler(fn) {
+            //     // 将副作用函数放到微任务队列里执行
+            //     // const p = Promise.resolve()
+            //     // p.then(() => fn())
+
+            //     // 每次调度时，将副作用函数交给调度器，一次刷新中同一个副作用函数只会执行一次，见 实现调度器.js
+            //     require('./实现调度器').queueJob(fn)
+            // }
+        }
+    )
 
-        //     // 每次调度时，将副作用函数添加到 jobQueue 队列中
-        //     jobQueue.add(fn)
-        //     // 调用flushJob 刷新任务队列
-        //     flushJob()
-        // }
+    testObj.age++
+    testObj.age++
+    // testObj.add = 2
+    console.log(testObj)
+    testObj.age = 25
+    console.log(testObj)
+
+    // 批量更新：多次修改只会让副作用函数执行一次
+    batch(() => {
+        testObj.name = 'Jerry'
+        testObj.age = 30
+    })
+
+    // 事务：抛出错误时所有修改都会被撤销，副作用函数也不会执行
+    try {
+        transaction(() => {
+            testObj.age = 100
+            delete testObj.name
+            throw new Error('失败')
+        })
+    } catch (e) {
+        console.log(e.message, testObj.name, testObj.age)
     }
-)
 
-testObj.age++
-testObj.age++
-// testObj.add = 2
-console.log(testObj)
-testObj.age = 25
-console.log(testObj)
\ No newline at end of file
+    // 数组：遍历方法只与 ARRAY_ITERATE_KEY 建立一次联系，sort 等修改方法每次调用只会让副作用函数执行一次
+    const list = getProxyObj([{ n: 3 }, { n: 1 }, { n: 2 }])
+    effect(() => {
+        console.log(list.map(item => item.n).join(','))
+    })
+    list.sort((a, b) => a.n - b.n)
+    // 原始数组中存储的是原始数据，使用代理对象同样可以找到
+    console.log(list.indexOf(list[0]), list.includes(list.find(item => item.n === 2)))
+    // 通过 length 截断数组的事务失败时，被截掉的元素也会恢复
+    try {
+        transaction(() => {
+            list.length = 1
+            throw new Error('失败')
+        })
+    } catch (e) {
+        console.log(e.message, list.map(item => item.n).join(','))
+    }
+}
@@ -0,0 +1,145 @@
+// 内存宿主：用普通对象模拟元素节点和文本节点，让渲染器可以在 Node 中运行，并可以序列化成 HTML 字符串
+// 元素节点：{ type: 'element', tag, props, listeners, children, parent }，文本节点：{ type: 'text', text, parent }
+
+const { createRenderer } = require('./实现渲染器')
+
+// 没有闭合标签的元素
+const voidTags = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+
+function createElementNode(tag) {
+    return { type: 'element', tag, props: {}, listeners: {}, children: [], parent: null }
+}
+
+function createTextNode(text) {
+    return { type: 'text', text, parent: null }
+}
+
+// 创建一个根节点作为渲染的容器
+function createRoot() {
+    return createElementNode('#root')
+}
+
+function remove(node) {
+    const parent = node.parent
+    if (parent) {
+        parent.children.splice(parent.children.indexOf(node), 1)
+        node.parent = null
+    }
+}
+
+// 以 on 开头、紧接着大写字母的属性是事件，例如 onClick
+const isEvent = key => /^on[A-Z]/.test(key)
+
+const hostOptions = {
+    createElement: createElementNode,
+    createText: createTextNode,
+    setText(node, text) {
+        node.text = text
+    },
+    // 设置元素的文本内容，会替换掉所有子节点
+    setElementText(el, text) {
+        el.children.forEach(child => {
+            child.parent = null
+        })
+        el.children = text ? [createTextNode(text)] : []
+        el.children.forEach(child => {
+            child.parent = el
+        })
+    },
+    // 将 el 插入到 parent 中 anchor 之前，anchor 为 null 时插入到最后
+    insert(el, parent, anchor = null) {
+        remove(el)
+        const index = anchor ? parent.children.indexOf(anchor) : -1
+        if (index > -1) {
+            parent.children.splice(index, 0, el)
+        } else {
+            parent.children.push(el)
+        }
+        el.parent = parent
+    },
+    remove,
+    nextSibling(node) {
+        const parent = node.parent
+        if (!parent) return null
+        return parent.children[parent.children.indexOf(node) + 1] || null
+    },
+    // class 已经被渲染器规范化为字符串，style 规范化为对象，值为 null、undefined 或 false 时移除属性
+    patchProp(el, key, prevValue, nextValue) {
+        if (isEvent(key)) {
+            const name = key.slice(2).toLowerCase()
+            if (nextValue) {
+                el.listeners[name] = nextValue
+            } else {
+                delete el.listeners[name]
+            }
+        } else if (nextValue == null || nextValue === false) {
+            delete el.props[key]
+        } else {
+            el.props[key] = nextValue
+        }
+    },
+}
+
+// 触发节点上的事件，事件处理函数可以是函数或者函数数组
+function dispatchEvent(node, name, event = {}) {
+    const handler = node.listeners && node.listeners[name]
+    if (!handler) return
+    const handlers = Array.isArray(handler) ? handler : [handler]
+    handlers.forEach(fn => fn({ type: name, target: node, ...event }))
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c])
+}
+
+function serializeProps(props) {
+    return Object.keys(props).map(key => {
+        const value = props[key]
+        if (key === 'style') {
+            const style = Object.keys(value).map(name => `${name}: ${value[name]}`).join('; ')
+            return style ? ` style="${escapeHtml(style)}"` : ''
+        }
+        // 布尔属性只输出属性名
+        if (value === true) return ` ${key}`
+        return ` ${key}="${escapeHtml(value)}"`
+    }).join('')
+}
+
+// 将节点序列化为 HTML 字符串，根节点只输出它的子节点
+function serialize(node) {
+    if (node.type === 'text') return escapeHtml(node.text)
+    const inner = node.children.map(serialize).join('')
+    if (node.tag === '#root') return inner
+    if (voidTags.has(node.tag)) return `<${node.tag}${serializeProps(node.props)}>`
+    return `<${node.tag}${serializeProps(node.props)}>${inner}</${node.tag}>`
+}
+
+const renderer = createRenderer(hostOptions)
+
+// 将 vnode 渲染成 HTML 字符串，渲染完成后立即卸载，不会保留任何响应式联系
+function renderToString(vnode) {
+    const root = createRoot()
+    renderer.render(vnode, root)
+    const html = serialize(root)
+    renderer.render(null, root)
+    return html
+}
+
+module.exports = {
+    hostOptions,
+    createRoot,
+    dispatchEvent,
+    serialize,
+    renderToString,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { h, Fragment } = require('./实现渲染器')
+
+    console.log(renderToString(h('ul', { id: 'list', class: { active: true, hidden: false } }, [
+        h('li', { style: 'color: red' }, 'a < b'),
+        h(Fragment, [h('li', '1'), h('li', '2')]),
+        h('input', { disabled: true, value: 'x' }),
+    ])))
+}
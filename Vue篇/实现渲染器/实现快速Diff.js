@@ -0,0 +1,195 @@
+// 快速 Diff：比较新旧两组子节点，尽可能复用旧节点，生成一组宿主可以按顺序执行的操作
+// 1. 预处理：跳过相同的前缀和后缀
+// 2. 只剩新节点时全部挂载，只剩旧节点时全部卸载
+// 3. 否则通过 key 找到可复用的旧节点，新旧位置构成的数组中，最长递增子序列对应的节点不需要移动，其余节点移动或挂载
+//
+// 操作按数组中的顺序执行，anchor 是新的一组子节点中的某个节点（执行到这一步时它已经在最终位置上），null 表示末尾：
+// { type: 'patch', oldVNode, vnode }   复用 oldVNode 对应的真实节点，并用 vnode 更新它
+// { type: 'mount', vnode, anchor }     创建 vnode 对应的真实节点，插入到 anchor 之前
+// { type: 'move', vnode, anchor }      把 vnode（已经执行过 patch）对应的真实节点移动到 anchor 之前
+// { type: 'unmount', vnode }           移除旧节点 vnode
+// 节点只需要有 key（没有 key 的节点只和相同 type、也没有 key 的节点匹配），不要求是渲染器的 vnode，响应式数组也可以直接传入
+
+const { toRaw } = require('../实现响应系统/对象响应系统的模拟')
+
+// key 和 type 都相同时认为是同一个节点，可以复用
+function isSameVNodeType(n1, n2) {
+    return n1.type === n2.type && n1.key === n2.key
+}
+
+// 最长递增子序列，返回的是索引，值为 -1 的位置（需要新挂载的节点）不参与
+// 贪心加二分查找：tails[k] 是长度为 k + 1 的递增子序列的最小结尾的索引，prev 记录每个位置在序列中的前一个位置，最后倒序回溯
+function getSequence(arr) {
+    const prev = new Array(arr.length)
+    const tails = []
+    for (let i = 0; i < arr.length; i++) {
+        const value = arr[i]
+        if (value === -1) continue
+        let start = 0
+        let end = tails.length
+        while (start < end) {
+            const middle = (start + end) >>> 1
+            if (arr[tails[middle]] < value) {
+                start = middle + 1
+            } else {
+                end = middle
+            }
+        }
+        prev[i] = start > 0 ? tails[start - 1] : -1
+        tails[start] = i
+    }
+    const result = new Array(tails.length)
+    for (let k = tails.length - 1, i = tails[k]; k >= 0; k--, i = prev[i]) {
+        result[k] = i
+    }
+    return result
+}
+
+// 同一组子节点中出现重复的 key 时给出警告，重复的节点之间无法正确复用
+function checkDuplicateKeys(children) {
+    const seen = new Set()
+    children.forEach(child => {
+        if (child.key == null) return
+        if (seen.has(child.key)) {
+            console.warn(`子节点中存在重复的 key：${String(child.key)}`)
+        }
+        seen.add(child.key)
+    })
+}
+
+// 比较新旧两组子节点，生成的操作追加到 ops 中并返回 ops
+// 传入响应式数组时读取的是原始数组，不会被追踪，操作中的节点也是原始对象
+function diffChildren(oldVNodes, newVNodes, ops = []) {
+    const c1 = toRaw(oldVNodes)
+    const c2 = toRaw(newVNodes)
+    checkDuplicateKeys(c2)
+
+    let j = 0
+    let e1 = c1.length - 1
+    let e2 = c2.length - 1
+
+    // 相同的前缀
+    while (j <= e1 && j <= e2 && isSameVNodeType(c1[j], c2[j])) {
+        ops.push({ type: 'patch', oldVNode: c1[j], vnode: c2[j] })
+        j++
+    }
+    // 相同的后缀
+    while (j <= e1 && j <= e2 && isSameVNodeType(c1[e1], c2[e2])) {
+        ops.push({ type: 'patch', oldVNode: c1[e1], vnode: c2[e2] })
+        e1--
+        e2--
+    }
+
+    if (j > e1) {
+        // 旧节点已经处理完，剩下的新节点依次挂载到后缀的第一个节点之前
+        const anchor = e2 + 1 < c2.length ? c2[e2 + 1] : null
+        for (let i = j; i <= e2; i++) {
+            ops.push({ type: 'mount', vnode: c2[i], anchor })
+        }
+        return ops
+    }
+    if (j > e2) {
+        // 新节点已经处理完，剩下的旧节点全部卸载
+        for (let i = j; i <= e1; i++) {
+            ops.push({ type: 'unmount', vnode: c1[i] })
+        }
+        return ops
+    }
+
+    // 剩余的新节点中，key 到索引的映射
+    const count = e2 - j + 1
+    const keyToNewIndex = new Map()
+    for (let i = j; i <= e2; i++) {
+        if (c2[i].key != null) keyToNewIndex.set(c2[i].key, i)
+    }
+    // source[i] 是第 j + i 个新节点复用的旧节点的索引，-1 表示需要新挂载
+    const source = new Array(count).fill(-1)
+    // 遍历旧节点的过程中，如果找到的新索引不是递增的，说明有节点需要移动
+    let moved = false
+    let maxNewIndex = 0
+    let patched = 0
+
+    for (let i = j; i <= e1; i++) {
+        const oldVNode = c1[i]
+        // 新节点都已经找到了可复用的旧节点，剩下的旧节点直接卸载
+        if (patched >= count) {
+            ops.push({ type: 'unmount', vnode: oldVNode })
+            continue
+        }
+        let newIndex
+        if (oldVNode.key != null) {
+            newIndex = keyToNewIndex.get(oldVNode.key)
+            // key 相同但 type 不同的节点不能复用
+            if (newIndex !== undefined && !isSameVNodeType(oldVNode, c2[newIndex])) newIndex = undefined
+        } else {
+            // 没有 key 的旧节点，找一个相同 type、同样没有 key、还没有被复用的新节点
+            for (let k = j; k <= e2; k++) {
+                if (source[k - j] === -1 && isSameVNodeType(oldVNode, c2[k])) {
+                    newIndex = k
+                    break
+                }
+            }
+        }
+        if (newIndex === undefined || source[newIndex - j] !== -1) {
+            ops.push({ type: 'unmount', vnode: oldVNode })
+            continue
+        }
+        source[newIndex - j] = i
+        if (newIndex >= maxNewIndex) {
+            maxNewIndex = newIndex
+        } else {
+            moved = true
+        }
+        ops.push({ type: 'patch', oldVNode, vnode: c2[newIndex] })
+        patched++
+    }
+
+    // 最长递增子序列中的节点相对顺序没有变化，不需要移动
+    const seq = moved ? getSequence(source) : []
+    let s = seq.length - 1
+    // 从后往前处理，这样锚点（后一个新节点）总是已经在最终位置上
+    for (let i = count - 1; i >= 0; i--) {
+        const index = j + i
+        const vnode = c2[index]
+        const anchor = index + 1 < c2.length ? c2[index + 1] : null
+        if (source[i] === -1) {
+            ops.push({ type: 'mount', vnode, anchor })
+        } else if (moved) {
+            if (s < 0 || i !== seq[s]) {
+                ops.push({ type: 'move', vnode, anchor })
+            } else {
+                s--
+            }
+        }
+    }
+    return ops
+}
+
+module.exports = {
+    isSameVNodeType,
+    getSequence,
+    diffChildren,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { getProxyObj } = require('../实现响应系统/对象响应系统的模拟')
+
+    const describe = op => {
+        const anchor = op.anchor === undefined ? '' : ` 到 ${op.anchor ? op.anchor.key : '末尾'} 之前`
+        return `${op.type} ${op.vnode.key}${anchor}`
+    }
+
+    // 对响应式数组做快照，修改之后与快照比较
+    const list = getProxyObj(['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(key => ({ key })))
+    const snapshot = list.slice()
+    list.splice(1, 1)
+    list.splice(3, 0, { key: 'h' })
+    list.unshift(list.pop())
+    list.reverse()
+    console.log(snapshot.map(item => item.key).join(' '), '->', list.map(item => item.key).join(' '))
+    diffChildren(snapshot, list).forEach(op => console.log(describe(op)))
+
+    console.log(getSequence([2, 3, 1, -1, 5, 4]))
+    diffChildren([{ key: 1 }, { key: 2 }], [{ key: 1 }, { key: 1 }])
+}
@@ -0,0 +1,479 @@
+// 渲染器：把虚拟节点（vnode）渲染成宿主平台的真实元素，数据变化时通过 effect 和调度器重新渲染
+// 渲染器本身不依赖任何平台，创建元素、插入、设置属性等操作都由 createRenderer 的参数（宿主配置）提供
+// 在 Node 中可以使用 实现字符串宿主.js 提供的内存宿主，并通过 renderToString 得到 HTML 字符串
+// type 是对象时 vnode 代表组件，组件实例的创建和 setup 见 实现组件.js，这里负责组件的挂载、更新和卸载
+
+const { effect, stop } = require('../实现响应系统/对象响应系统的模拟')
+const { queueJob, invalidateJob, queuePostFlushCb, flushPostFlushCbs } = require('../实现响应系统/实现调度器')
+const {
+    LifecycleHooks,
+    createComponentInstance,
+    setupComponent,
+    updateProps,
+    updateSlots,
+    shouldUpdateComponent,
+    renderComponentRoot,
+    invokeHooks,
+} = require('./实现组件')
+const { diffChildren } = require('./实现快速Diff')
+
+// 文本节点和片段（多个根节点）没有标签名，使用唯一的 Symbol 作为 type
+const Text = Symbol('Text')
+const Fragment = Symbol('Fragment')
+
+// 创建 vnode：type 是标签名、Text、Fragment 或组件，children 是字符串或 vnode 数组（组件的 children 是插槽）
+// props 中的 key 用于区分同一层级的节点，ref 是回调函数，挂载后以真实元素（组件则是 expose 的内容）调用，卸载时以 null 调用
+function h(type, props, children) {
+    // 省略 props 时，第二个参数就是 children
+    if (children === undefined && (typeof props !== 'object' || Array.isArray(props))) {
+        children = props
+        props = null
+    }
+    return {
+        type,
+        props: props || null,
+        children: children === undefined ? null : children,
+        key: props && props.key != null ? props.key : null,
+        // 挂载后对应的真实元素
+        el: null,
+        // 组件 vnode 对应的组件实例
+        component: null,
+    }
+}
+
+// 浅拷贝 vnode，子节点数组也拷贝一份，el 重置为 null
+function cloneVNode(vnode) {
+    return {
+        ...vnode,
+        children: Array.isArray(vnode.children) ? vnode.children.slice() : vnode.children,
+        el: null,
+    }
+}
+
+// 将 children 中的字符串和数字转换成文本节点，null、undefined 和布尔值不渲染
+// 已经挂载过的 vnode（例如编译器提升的静态节点，会在每次渲染和每次循环中复用）需要拷贝，否则多处共享同一个 el
+function normalizeVNode(child) {
+    if (typeof child === 'string' || typeof child === 'number') return h(Text, String(child))
+    return child.el ? cloneVNode(child) : child
+}
+
+function normalizeChildren(children) {
+    return children
+        .filter(child => child != null && typeof child !== 'boolean')
+        .map(normalizeVNode)
+}
+
+// class 可以是字符串、对象（值为真的键）或者由它们组成的数组，统一转换成以空格分隔的字符串
+function normalizeClass(value) {
+    if (typeof value === 'string') return value.trim()
+    if (Array.isArray(value)) return value.map(normalizeClass).filter(Boolean).join(' ')
+    if (value && typeof value === 'object') return Object.keys(value).filter(key => value[key]).join(' ')
+    return ''
+}
+
+// style 可以是字符串（'color: red; font-size: 12px'）、对象或者由它们组成的数组，统一转换成对象，属性名使用连字符形式
+function normalizeStyle(value) {
+    const res = {}
+    if (typeof value === 'string') {
+        value.split(';').forEach(item => {
+            const index = item.indexOf(':')
+            if (index > 0) res[item.slice(0, index).trim()] = item.slice(index + 1).trim()
+        })
+    } else if (Array.isArray(value)) {
+        value.forEach(item => Object.assign(res, normalizeStyle(item)))
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            if (value[key] != null && value[key] !== '') {
+                res[key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)] = String(value[key])
+            }
+        })
+    }
+    return res
+}
+
+// key 和 ref 由渲染器使用，不会交给宿主
+const isReservedProp = key => key === 'key' || key === 'ref'
+
+// 组件没有声明的 props（attrs）透传到组件的根节点上，class 和 style 合并，同名的事件都会执行
+function mergeProps(props, attrs) {
+    const res = { ...props }
+    Object.keys(attrs).forEach(key => {
+        if (!(key in res)) {
+            res[key] = attrs[key]
+        } else if (key === 'class' || key === 'style') {
+            res[key] = [res[key], attrs[key]]
+        } else if (/^on[A-Z]/.test(key)) {
+            res[key] = [].concat(res[key], attrs[key])
+        } else {
+            res[key] = attrs[key]
+        }
+    })
+    return res
+}
+
+// 交给宿主之前先规范化 class 和 style，这样每个宿主拿到的都是统一的格式
+function normalizeProp(key, value) {
+    if (value == null) return value
+    if (key === 'class') return normalizeClass(value) || null
+    if (key === 'style') return normalizeStyle(value)
+    return value
+}
+
+// 创建渲染器，options 是宿主配置：
+// createElement(tag)、createText(text)、setText(node, text)、setElementText(el, text)
+// insert(el, parent, anchor)、remove(el)、nextSibling(node)、patchProp(el, key, prevValue, nextValue)
+function createRenderer(options) {
+    const {
+        createElement,
+        createText,
+        setText,
+        setElementText,
+        insert,
+        remove,
+        nextSibling,
+        patchProp,
+    } = options
+
+    // n1 是旧 vnode，n2 是新 vnode，anchor 是插入位置的参照节点
+    function patch(n1, n2, container, anchor = null) {
+        // 同一个 vnode 没有任何变化
+        if (n1 === n2) return
+        // 新旧 vnode 的类型不同，直接卸载旧的，再挂载新的，新节点挂载到旧节点原来的位置
+        if (n1 && n1.type !== n2.type) {
+            anchor = getNextSibling(n1)
+            unmount(n1)
+            n1 = null
+        }
+        const { type } = n2
+        if (typeof type === 'string') {
+            if (!n1) {
+                mountElement(n2, container, anchor)
+            } else {
+                patchElement(n1, n2)
+            }
+        } else if (type === Text) {
+            if (!n1) {
+                n2.el = createText(n2.children)
+                insert(n2.el, container, anchor)
+            } else {
+                n2.el = n1.el
+                if (n2.children !== n1.children) setText(n2.el, n2.children)
+            }
+        } else if (type === Fragment) {
+            // 片段的开头和结尾各有一个空文本节点作为边界，子节点都在它们之间，即使没有子节点也能知道片段的位置
+            if (!n1) {
+                n2.el = createText('')
+                n2.anchor = createText('')
+                insert(n2.el, container, anchor)
+                insert(n2.anchor, container, anchor)
+                n2.children = normalizeChildren(n2.children || [])
+                n2.children.forEach(child => patch(null, child, container, n2.anchor))
+            } else {
+                n2.el = n1.el
+                n2.anchor = n1.anchor
+                patchChildren(n1, n2, container, n2.anchor)
+            }
+        } else if (typeof type === 'object') {
+            if (!n1) {
+                mountComponent(n2, container, anchor)
+            } else {
+                updateComponent(n1, n2)
+            }
+        }
+    }
+
+    // vnode 之后的第一个真实节点，片段取结尾边界之后的节点
+    function getNextSibling(vnode) {
+        if (vnode.component) return getNextSibling(vnode.component.subTree)
+        return nextSibling(vnode.type === Fragment ? vnode.anchor : vnode.el)
+    }
+
+    // vnode 的第一个真实节点，片段是开头的边界
+    function getFirstNode(vnode) {
+        if (vnode.component) return getFirstNode(vnode.component.subTree)
+        return vnode.el
+    }
+
+    // 把 vnode 的所有真实节点移动到 anchor 之前
+    function move(vnode, container, anchor) {
+        if (vnode.component) {
+            move(vnode.component.subTree, container, anchor)
+        } else if (vnode.type === Fragment) {
+            insert(vnode.el, container, anchor)
+            vnode.children.forEach(child => move(child, container, anchor))
+            insert(vnode.anchor, container, anchor)
+        } else {
+            insert(vnode.el, container, anchor)
+        }
+    }
+
+    function mountElement(vnode, container, anchor) {
+        const el = vnode.el = createElement(vnode.type)
+        if (typeof vnode.children === 'string') {
+            setElementText(el, vnode.children)
+        } else if (Array.isArray(vnode.children)) {
+            vnode.children = normalizeChildren(vnode.children)
+            vnode.children.forEach(child => patch(null, child, el))
+        }
+        if (vnode.props) {
+            for (const key in vnode.props) {
+                if (isReservedProp(key)) continue
+                patchProp(el, key, null, normalizeProp(key, vnode.props[key]))
+            }
+        }
+        insert(el, container, anchor)
+        setRef(vnode, el)
+    }
+
+    function setRef(vnode, value) {
+        const ref = vnode.props && vnode.props.ref
+        if (typeof ref === 'function') ref(value)
+    }
+
+    function patchElement(n1, n2) {
+        const el = n2.el = n1.el
+        const oldProps = n1.props || {}
+        const newProps = n2.props || {}
+        // 更新变化了的属性
+        for (const key in newProps) {
+            if (isReservedProp(key)) continue
+            const next = normalizeProp(key, newProps[key])
+            const prev = normalizeProp(key, oldProps[key])
+            if (!isSameProp(prev, next)) patchProp(el, key, prev, next)
+        }
+        // 移除新 props 中不存在的属性
+        for (const key in oldProps) {
+            if (isReservedProp(key) || key in newProps) continue
+            patchProp(el, key, normalizeProp(key, oldProps[key]), null)
+        }
+        patchChildren(n1, n2, el)
+    }
+
+    // style 规范化之后是新对象，需要比较内容
+    function isSameProp(prev, next) {
+        if (prev === next) return true
+        if (prev && next && typeof prev === 'object' && typeof next === 'object' && !Array.isArray(prev)) {
+            const keys = Object.keys(prev)
+            return keys.length === Object.keys(next).length && keys.every(key => prev[key] === next[key])
+        }
+        return false
+    }
+
+    // 子节点有三种情况：没有子节点、文本子节点、一组子节点，新旧子节点各三种情况组合
+    // anchor 是这组子节点的末尾，片段的子节点在结尾边界之前，元素的子节点在最后
+    function patchChildren(n1, n2, container, anchor = null) {
+        const oldChildren = n1.children
+        if (typeof n2.children === 'string') {
+            // 旧子节点是一组子节点时，逐个卸载
+            if (Array.isArray(oldChildren)) oldChildren.forEach(child => unmount(child))
+            if (oldChildren !== n2.children) setElementText(container, n2.children)
+        } else if (Array.isArray(n2.children)) {
+            const newChildren = n2.children = normalizeChildren(n2.children)
+            if (Array.isArray(oldChildren)) {
+                // 新旧都是一组子节点：通过快速 Diff 得到复用、移动、挂载和卸载的操作，依次执行
+                diffChildren(oldChildren, newChildren).forEach(op => {
+                    const target = op.anchor ? getFirstNode(op.anchor) : anchor
+                    if (op.type === 'patch') {
+                        patch(op.oldVNode, op.vnode, container)
+                    } else if (op.type === 'mount') {
+                        patch(null, op.vnode, container, target)
+                    } else if (op.type === 'move') {
+                        move(op.vnode, container, target)
+                    } else {
+                        unmount(op.vnode)
+                    }
+                })
+            } else {
+                // 旧子节点是文本或者没有子节点，清空之后逐个挂载
+                if (typeof oldChildren === 'string') setElementText(container, '')
+                newChildren.forEach(child => patch(null, child, container, anchor))
+            }
+        } else {
+            // 新节点没有子节点
+            if (Array.isArray(oldChildren)) {
+                oldChildren.forEach(child => unmount(child))
+            } else if (typeof oldChildren === 'string') {
+                setElementText(container, '')
+            }
+        }
+    }
+
+    // 正在渲染的组件实例，它渲染过程中挂载的组件以它为父组件
+    let activeInstance = null
+
+    // 执行组件的渲染函数并规范化：null 渲染为空的片段，字符串渲染为文本节点，数组渲染为片段，然后透传 attrs
+    function renderRoot(instance) {
+        let tree = renderComponentRoot(instance)
+        if (tree == null || typeof tree === 'boolean') {
+            tree = h(Fragment, [])
+        } else if (Array.isArray(tree)) {
+            tree = h(Fragment, tree)
+        } else {
+            tree = normalizeVNode(tree)
+        }
+        const { attrs } = instance
+        if (Object.keys(attrs).length && tree.type !== Text && tree.type !== Fragment) {
+            tree = { ...tree, props: mergeProps(tree.props, attrs) }
+        }
+        return tree
+    }
+
+    // 挂载组件：创建实例并执行 setup，然后在副作用函数中渲染
+    // 副作用函数通过调度器执行，同一次事件循环中的多次修改只会更新一次；任务 id 是实例的 uid，父组件总是先于子组件更新
+    function mountComponent(vnode, container, anchor) {
+        const instance = vnode.component = createComponentInstance(vnode, activeInstance)
+        setupComponent(instance)
+
+        const componentUpdateFn = () => {
+            const prevInstance = activeInstance
+            activeInstance = instance
+            try {
+                if (!instance.isMounted) {
+                    invokeHooks(instance, LifecycleHooks.BEFORE_MOUNT)
+                    const subTree = instance.subTree = renderRoot(instance)
+                    patch(null, subTree, container, anchor)
+                    instance.vnode.el = subTree.el
+                    instance.isMounted = true
+                    queuePostFlushCb(() => invokeHooks(instance, LifecycleHooks.MOUNTED))
+                    setRef(instance.vnode, instance.exposed || instance.proxy)
+                } else {
+                    // 由父组件触发的更新，先用新的 vnode 更新 props 和插槽
+                    const { next } = instance
+                    if (next) {
+                        next.component = instance
+                        instance.vnode = next
+                        instance.next = null
+                        updateProps(instance, next.props)
+                        updateSlots(instance, next.children)
+                    }
+                    invokeHooks(instance, LifecycleHooks.BEFORE_UPDATE)
+                    const prevTree = instance.subTree
+                    const nextTree = instance.subTree = renderRoot(instance)
+                    patch(prevTree, nextTree, container)
+                    instance.vnode.el = nextTree.el
+                    queuePostFlushCb(() => invokeHooks(instance, LifecycleHooks.UPDATED))
+                }
+            } finally {
+                activeInstance = prevInstance
+            }
+        }
+
+        const update = instance.update = instance.scope.run(() => effect(componentUpdateFn, {
+            lazy: true,
+            scheduler: () => queueJob(update),
+            name: `render ${instance.type.name || 'component'}`,
+        }))
+        update.id = instance.uid
+        update()
+    }
+
+    function updateComponent(n1, n2) {
+        const instance = n2.component = n1.component
+        if (shouldUpdateComponent(n1, n2)) {
+            // 子组件可能因为自身的状态变化已经在队列中，这里直接同步更新，把队列中的任务移除
+            instance.next = n2
+            invalidateJob(instance.update)
+            instance.update()
+        } else {
+            n2.el = n1.el
+            instance.vnode = n2
+        }
+    }
+
+    // doRemove 为 false 时只卸载其中的组件并清除 ref，不移除真实节点，用于祖先元素会被整体移除的子节点
+    function unmount(vnode, doRemove = true) {
+        if (vnode.component) {
+            const instance = vnode.component
+            // 停止组件作用域中的所有副作用函数，包括渲染用的副作用函数
+            instance.scope.stop()
+            instance.isUnmounted = true
+            unmount(instance.subTree, doRemove)
+            setRef(vnode, null)
+            queuePostFlushCb(() => invokeHooks(instance, LifecycleHooks.UNMOUNTED))
+            return
+        }
+        // 卸载片段的所有子节点和两个边界
+        if (vnode.type === Fragment) {
+            vnode.children.forEach(child => unmount(child, doRemove))
+            if (doRemove) {
+                remove(vnode.el)
+                remove(vnode.anchor)
+            }
+            return
+        }
+        // 组件的作用域是独立的，不会随着父组件停止，所以元素中嵌套的组件也要逐个卸载
+        if (Array.isArray(vnode.children)) {
+            vnode.children.forEach(child => unmount(child, false))
+        }
+        setRef(vnode, null)
+        if (doRemove) remove(vnode.el)
+    }
+
+    // 将 vnode 渲染到 container 中，vnode 为 null 时卸载之前渲染的内容
+    function render(vnode, container) {
+        if (vnode) {
+            patch(container._vnode, vnode, container)
+        } else if (container._vnode) {
+            unmount(container._vnode)
+        }
+        // 把 vnode 存储到 container._vnode 下，作为下一次渲染时的旧 vnode
+        container._vnode = vnode
+        // 同步执行 mounted、updated、unmounted 等钩子
+        flushPostFlushCbs()
+    }
+
+    // 在副作用函数中执行 renderFn 并渲染，renderFn 读取的响应式数据变化时，在下一次刷新中重新渲染
+    // 返回卸载函数，调用后停止响应并卸载渲染的内容
+    function mount(renderFn, container) {
+        const runner = effect(() => render(renderFn(), container), {
+            scheduler: queueJob,
+            name: 'render',
+        })
+        return () => {
+            stop(runner)
+            render(null, container)
+        }
+    }
+
+    return {
+        render,
+        mount,
+    }
+}
+
+module.exports = {
+    Text,
+    Fragment,
+    h,
+    normalizeClass,
+    normalizeStyle,
+    createRenderer,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { getProxyObj } = require('../实现响应系统/对象响应系统的模拟')
+    const { nextTick } = require('../实现响应系统/实现调度器')
+    const { hostOptions, createRoot, serialize, dispatchEvent } = require('./实现字符串宿主')
+
+    const renderer = createRenderer(hostOptions)
+    const root = createRoot()
+    const state = getProxyObj({ count: 0, items: ['a', 'b'] })
+
+    renderer.mount(() => h('div', { class: ['counter', { active: state.count > 0 }] }, [
+        h('button', { onClick: () => state.count++ }, 'add'),
+        h('span', { style: { color: state.count > 1 ? 'red' : 'black' } }, `count: ${state.count}`),
+        h(Fragment, state.items.map(item => h('i', item))),
+        'end',
+    ]), root)
+    console.log(serialize(root))
+
+    // 模拟点击，数据变化后在下一次刷新中重新渲染
+    const button = root.children[0].children[0]
+    dispatchEvent(button, 'click')
+    dispatchEvent(button, 'click')
+    state.items.push('c')
+    nextTick(() => {
+        console.log(serialize(root))
+    })
+}
@@ -0,0 +1,510 @@
+// 组件：组件是一个选项对象 { name, props, emits, setup, render }，通过 h(Component, props, children) 创建组件的 vnode
+// 本文件负责组件实例：解析和校验 props、执行 setup、emit、插槽、生命周期钩子的注册
+// 挂载和更新组件（在副作用函数中渲染，通过调度器合并更新）由渲染器负责，见 实现渲染器.js
+
+const {
+    ErrorTypes,
+    handleError,
+    callWithErrorHandling,
+    effectScope,
+    shallowReactive,
+    shallowReadonly,
+} = require('../实现响应系统/对象响应系统的模拟')
+const { proxyRefs } = require('../实现响应系统/实现ref')
+
+// 定义组件，只传入函数时作为 setup
+function defineComponent(options) {
+    return typeof options === 'function' ? { name: options.name, setup: options } : options
+}
+
+// 当前正在执行 setup 的组件实例，生命周期钩子注册到它上面
+let currentInstance = null
+
+function getCurrentInstance() {
+    return currentInstance
+}
+
+function setCurrentInstance(instance) {
+    const prev = currentInstance
+    currentInstance = instance
+    return prev
+}
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key)
+const camelize = str => str.replace(/-(\w)/g, (_, c) => c.toUpperCase())
+const capitalize = str => str[0].toUpperCase() + str.slice(1)
+// 事件名 change 对应的 prop 是 onChange
+const toHandlerKey = event => `on${capitalize(camelize(event))}`
+
+// key 和 ref 由渲染器使用，不会传给组件
+const isReservedProp = key => key === 'key' || key === 'ref'
+
+// 生命周期钩子在实例上的存储位置
+const LifecycleHooks = {
+    BEFORE_MOUNT: 'bm',
+    MOUNTED: 'm',
+    BEFORE_UPDATE: 'bu',
+    UPDATED: 'u',
+    UNMOUNTED: 'um',
+}
+
+let uid = 0
+
+// 创建组件实例
+function createComponentInstance(vnode, parent) {
+    const type = vnode.type
+    const instance = {
+        uid: uid++,
+        vnode,
+        type,
+        parent,
+        // 组件内创建的副作用函数（包括渲染用的副作用函数）都收集到这个作用域中，卸载时一起停止
+        scope: effectScope(true),
+        propsOptions: normalizePropsOptions(type.props),
+        emitsOptions: normalizeEmitsOptions(type.emits),
+        props: null,
+        attrs: {},
+        slots: {},
+        setupState: {},
+        exposed: null,
+        render: null,
+        // 渲染函数的 this 和第一个参数
+        proxy: null,
+        // 组件渲染出的 vnode
+        subTree: null,
+        isMounted: false,
+        isUnmounted: false,
+        // 渲染用的副作用函数，由渲染器创建
+        update: null,
+        // 父组件重新渲染时传入的新 vnode，在下一次更新时使用
+        next: null,
+        [LifecycleHooks.BEFORE_MOUNT]: [],
+        [LifecycleHooks.MOUNTED]: [],
+        [LifecycleHooks.BEFORE_UPDATE]: [],
+        [LifecycleHooks.UPDATED]: [],
+        [LifecycleHooks.UNMOUNTED]: [],
+    }
+    instance.emit = (event, ...args) => emit(instance, event, ...args)
+    return instance
+}
+
+// props 选项可以是数组 ['foo']，也可以是对象 { foo: Number, bar: { type: String, default: '', required: true, validator } }
+function normalizePropsOptions(raw) {
+    const options = {}
+    if (Array.isArray(raw)) {
+        raw.forEach(key => {
+            options[camelize(key)] = {}
+        })
+    } else if (raw) {
+        Object.keys(raw).forEach(key => {
+            const opt = raw[key]
+            options[camelize(key)] = typeof opt === 'function' || Array.isArray(opt) ? { type: opt } : { ...opt }
+        })
+    }
+    return options
+}
+
+// emits 选项可以是数组 ['change']，也可以是对象 { change: (value) => boolean }，值为校验函数或 null
+function normalizeEmitsOptions(raw) {
+    if (!raw) return null
+    if (Array.isArray(raw)) return Object.fromEntries(raw.map(event => [event, null]))
+    return { ...raw }
+}
+
+// onChange 是否对应组件声明的 change 事件，声明过的事件监听不会作为透传的 attrs
+function isEmitListener(emitsOptions, key) {
+    if (!emitsOptions || !/^on[A-Z]/.test(key)) return false
+    const event = key.slice(2)
+    return Object.keys(emitsOptions).some(name => toHandlerKey(name) === `on${event}`)
+}
+
+const typeOf = value => Object.prototype.toString.call(value).slice(8, -1)
+
+// 检查值是否属于某个类型，原始类型通过 typeof 判断，Object 只匹配普通对象，其余通过 instanceof 判断
+function assertType(value, type) {
+    switch (type) {
+        case String:
+        case Number:
+        case Boolean:
+        case Symbol:
+        case BigInt:
+            return typeof value === type.name.toLowerCase()
+        case Object:
+            return typeOf(value) === 'Object'
+        case Array:
+            return Array.isArray(value)
+        case Function:
+            return typeof value === 'function'
+        default:
+            return value instanceof type
+    }
+}
+
+const getTypes = opt => opt.type == null ? [] : Array.isArray(opt.type) ? opt.type : [opt.type]
+
+// 解析 prop 的值：使用默认值（函数默认值用于对象和数组，每个实例得到新的对象），布尔类型缺省时为 false
+function resolvePropValue(opt, key, value, isAbsent, rawProps) {
+    const types = getTypes(opt)
+    if (value === undefined && hasOwn(opt, 'default')) {
+        const def = opt.default
+        value = typeof def === 'function' && !types.includes(Function) ? def(rawProps) : def
+    }
+    if (types.includes(Boolean)) {
+        if (isAbsent && !hasOwn(opt, 'default')) {
+            value = false
+        } else if (value === '' && !types.includes(String)) {
+            // <comp disabled> 这样没有值的布尔属性
+            value = true
+        }
+    }
+    return value
+}
+
+// 校验 prop，不符合时只给出警告
+function validateProp(name, value, opt, isAbsent, componentName) {
+    if (opt.required && isAbsent) {
+        console.warn(`组件 ${componentName} 缺少必需的 prop "${name}"`)
+        return
+    }
+    if (value == null) return
+    const types = getTypes(opt)
+    if (types.length && !types.some(type => assertType(value, type))) {
+        console.warn(`组件 ${componentName} 的 prop "${name}" 应该是 ${types.map(type => type.name).join(' | ')} 类型，实际是 ${typeOf(value)}`)
+        return
+    }
+    if (opt.validator && !opt.validator(value)) {
+        console.warn(`组件 ${componentName} 的 prop "${name}" 没有通过自定义校验`)
+    }
+}
+
+// 把 vnode 上的 props 分成组件声明的 props 和透传的 attrs
+function resolveProps(instance, rawProps) {
+    const { propsOptions, emitsOptions } = instance
+    const props = {}
+    const attrs = {}
+    const present = new Set()
+    for (const rawKey in rawProps) {
+        if (isReservedProp(rawKey)) continue
+        const key = camelize(rawKey)
+        if (hasOwn(propsOptions, key)) {
+            props[key] = rawProps[rawKey]
+            present.add(key)
+        } else if (!isEmitListener(emitsOptions, rawKey)) {
+            attrs[rawKey] = rawProps[rawKey]
+        }
+    }
+    const componentName = getComponentName(instance)
+    Object.keys(propsOptions).forEach(key => {
+        const opt = propsOptions[key]
+        const isAbsent = !present.has(key)
+        props[key] = resolvePropValue(opt, key, props[key], isAbsent, rawProps || {})
+        validateProp(key, props[key], opt, isAbsent, componentName)
+    })
+    return { props, attrs }
+}
+
+// 第一次初始化 props，组件内部只能通过 shallowReadonly 读取
+function initProps(instance, rawProps) {
+    const { props, attrs } = resolveProps(instance, rawProps)
+    instance.props = shallowReactive(props)
+    Object.assign(instance.attrs, attrs)
+}
+
+// 父组件重新渲染时更新 props，只有变化了的 prop 会触发依赖它的副作用函数
+// attrs 和 slots 原地更新，setup 中拿到的 attrs、slots 对象始终有效
+function updateProps(instance, rawProps) {
+    const { props, attrs } = resolveProps(instance, rawProps)
+    Object.keys(props).forEach(key => {
+        if (instance.props[key] !== props[key]) instance.props[key] = props[key]
+    })
+    Object.keys(instance.attrs).forEach(key => {
+        if (!hasOwn(attrs, key)) delete instance.attrs[key]
+    })
+    Object.assign(instance.attrs, attrs)
+}
+
+// 插槽：组件 vnode 的 children 可以是 { default: () => vnodes, header: props => vnodes }，也可以是函数（默认插槽）或者 vnode 数组
+function normalizeSlots(children) {
+    if (children == null) return {}
+    if (typeof children === 'function') return { default: children }
+    if (typeof children === 'object' && !Array.isArray(children)) return { ...children }
+    return { default: () => children }
+}
+
+function updateSlots(instance, children) {
+    const slots = normalizeSlots(children)
+    Object.keys(instance.slots).forEach(name => {
+        if (!hasOwn(slots, name)) delete instance.slots[name]
+    })
+    Object.assign(instance.slots, slots)
+}
+
+// 触发组件事件，调用父组件传入的 onXxx
+function emit(instance, event, ...args) {
+    const { emitsOptions } = instance
+    if (emitsOptions) {
+        if (!hasOwn(emitsOptions, event)) {
+            console.warn(`组件 ${getComponentName(instance)} 触发了没有在 emits 中声明的事件 "${event}"`)
+        } else if (typeof emitsOptions[event] === 'function' && !emitsOptions[event](...args)) {
+            console.warn(`组件 ${getComponentName(instance)} 的事件 "${event}" 的参数没有通过校验`)
+        }
+    }
+    const props = instance.vnode.props
+    const handler = props && props[toHandlerKey(event)]
+    if (!handler) return
+    const handlers = Array.isArray(handler) ? handler : [handler]
+    handlers.forEach(fn => callWithErrorHandling(fn, instance, ErrorTypes.COMPONENT_EVENT_HANDLER, args))
+}
+
+// 渲染函数中可以通过 this 或第一个参数访问的特殊属性
+const publicPropertiesMap = {
+    $el: i => i.vnode.el,
+    $props: i => i.props,
+    $attrs: i => i.attrs,
+    $slots: i => i.slots,
+    $emit: i => i.emit,
+    $parent: i => i.parent && i.parent.proxy,
+}
+
+// 渲染上下文：依次从 setup 返回的状态、props、特殊属性中读取
+// 实现了 has，编译器生成的 with (_ctx) 渲染函数可以直接使用它
+function createRenderContext(instance) {
+    return new Proxy(instance, {
+        get(target, key) {
+            const { setupState, props, propsOptions } = target
+            if (hasOwn(setupState, key)) return setupState[key]
+            if (hasOwn(propsOptions, key)) return props[key]
+            if (hasOwn(publicPropertiesMap, key)) return publicPropertiesMap[key](target)
+            return undefined
+        },
+        set(target, key, value) {
+            const { setupState, propsOptions } = target
+            if (hasOwn(setupState, key)) {
+                setupState[key] = value
+                return true
+            }
+            if (hasOwn(propsOptions, key)) {
+                console.warn(`不能修改 prop "${String(key)}"，props 是只读的`)
+                return true
+            }
+            console.warn(`渲染上下文中不存在 "${String(key)}"`)
+            return true
+        },
+        has(target, key) {
+            return hasOwn(target.setupState, key) || hasOwn(target.propsOptions, key) || hasOwn(publicPropertiesMap, key)
+        },
+    })
+}
+
+// 初始化组件：解析 props 和插槽，在组件的作用域中执行 setup
+// setup 返回函数时作为渲染函数，返回对象时作为状态（ref 自动脱 ref），渲染函数中通过 this 或第一个参数访问
+function setupComponent(instance) {
+    const { vnode, type } = instance
+    initProps(instance, vnode.props)
+    updateSlots(instance, vnode.children)
+    instance.proxy = createRenderContext(instance)
+    instance.render = type.render || null
+
+    if (type.setup) {
+        const setupContext = {
+            attrs: instance.attrs,
+            slots: instance.slots,
+            emit: instance.emit,
+            // 暴露给父组件的内容，父组件通过 ref 回调拿到它
+            expose(exposed) {
+                instance.exposed = exposed
+            },
+        }
+        const prev = setCurrentInstance(instance)
+        const setupResult = instance.scope.run(() => callWithErrorHandling(
+            type.setup,
+            instance,
+            ErrorTypes.SETUP_FUNCTION,
+            [shallowReadonly(instance.props), setupContext],
+        ))
+        setCurrentInstance(prev)
+        if (typeof setupResult === 'function') {
+            instance.render = setupResult
+        } else if (setupResult && typeof setupResult === 'object') {
+            instance.setupState = proxyRefs(setupResult)
+        }
+    }
+    if (!instance.render) {
+        console.warn(`组件 ${getComponentName(instance)} 没有渲染函数`)
+        instance.render = () => null
+    }
+}
+
+// 父组件重新渲染时，只有 props 变化了或者传入了插槽才需要更新子组件
+function shouldUpdateComponent(n1, n2) {
+    if (n2.children != null) return true
+    const prev = n1.props || {}
+    const next = n2.props || {}
+    const keys = Object.keys(next)
+    if (keys.length !== Object.keys(prev).length) return true
+    return keys.some(key => next[key] !== prev[key])
+}
+
+function getComponentName(instance) {
+    return instance.type.name || '匿名组件'
+}
+
+// 执行一组生命周期钩子，执行期间 getCurrentInstance 返回该组件
+function invokeHooks(instance, type) {
+    const hooks = instance[type]
+    if (!hooks.length) return
+    const prev = setCurrentInstance(instance)
+    hooks.forEach(hook => callWithErrorHandling(hook, instance, ErrorTypes.LIFECYCLE_HOOK))
+    setCurrentInstance(prev)
+}
+
+function createHook(type, hookName) {
+    return (hook, target = currentInstance) => {
+        if (!target) {
+            console.warn(`${hookName} 只能在 setup 中调用`)
+            return
+        }
+        target[type].push(hook)
+    }
+}
+
+const onBeforeMount = createHook(LifecycleHooks.BEFORE_MOUNT, 'onBeforeMount')
+const onMounted = createHook(LifecycleHooks.MOUNTED, 'onMounted')
+const onBeforeUpdate = createHook(LifecycleHooks.BEFORE_UPDATE, 'onBeforeUpdate')
+const onUpdated = createHook(LifecycleHooks.UPDATED, 'onUpdated')
+const onUnmounted = createHook(LifecycleHooks.UNMOUNTED, 'onUnmounted')
+
+// 执行渲染函数，渲染函数抛出错误时交给错误处理函数，返回 undefined
+function renderComponentRoot(instance) {
+    const { render, proxy } = instance
+    try {
+        return render.call(proxy, proxy)
+    } catch (err) {
+        handleError(err, instance, ErrorTypes.RENDER_FUNCTION)
+    }
+}
+
+module.exports = {
+    LifecycleHooks,
+    defineComponent,
+    getCurrentInstance,
+    createComponentInstance,
+    setupComponent,
+    updateProps,
+    updateSlots,
+    shouldUpdateComponent,
+    renderComponentRoot,
+    invokeHooks,
+    onBeforeMount,
+    onMounted,
+    onBeforeUpdate,
+    onUpdated,
+    onUnmounted,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { ref } = require('../实现响应系统/实现ref')
+    const { nextTick } = require('../实现响应系统/实现调度器')
+    const { h, createRenderer } = require('./实现渲染器')
+    const { hostOptions, createRoot, serialize, dispatchEvent } = require('./实现字符串宿主')
+
+    const Counter = defineComponent({
+        name: 'Counter',
+        props: {
+            label: { type: String, required: true },
+            step: { type: Number, default: 1 },
+        },
+        emits: ['change'],
+        setup(props, { emit, slots, expose }) {
+            const count = ref(0)
+            const add = () => {
+                count.value += props.step
+                emit('change', count.value)
+            }
+            expose({ add })
+            onMounted(() => console.log(`${props.label} mounted`))
+            onUpdated(() => console.log(`${props.label} updated`))
+            onUnmounted(() => console.log(`${props.label} unmounted`))
+            return () => h('div', null, [
+                h('button', { onClick: add }, props.label),
+                h('span', null, String(count.value)),
+                slots.default ? slots.default({ count: count.value }) : null,
+            ])
+        },
+    })
+
+    const App = defineComponent({
+        name: 'App',
+        setup() {
+            const total = ref(0)
+            const show = ref(true)
+            const step = ref(1)
+            let counter = null
+            onBeforeUpdate(() => console.log('App before update'))
+            return {
+                total,
+                show,
+                step,
+                // render 中可以通过 this 访问 setup 返回的状态
+                setCounter: exposed => {
+                    counter = exposed
+                },
+                addTwice() {
+                    counter.add()
+                    counter.add()
+                },
+            }
+        },
+        render() {
+            return h('section', null, [
+                h('p', null, `total: ${this.total}`),
+                this.show
+                    ? h(Counter, {
+                        label: 'A',
+                        step: this.step,
+                        class: 'counter',
+                        ref: this.setCounter,
+                        onChange: value => {
+                            this.total = value
+                        },
+                    }, { default: ({ count }) => h('em', null, count > 2 ? 'big' : 'small') })
+                    : null,
+            ])
+        },
+    })
+
+    const renderer = createRenderer(hostOptions)
+    const root = createRoot()
+    const vnode = h(App)
+    renderer.render(vnode, root)
+    console.log(serialize(root))
+
+    // 一次点击中修改了两个组件的状态，在同一次刷新中各自只更新一次
+    const app = vnode.component.proxy
+    dispatchEvent(root.children[0].children[1].children[0], 'click')
+    nextTick(() => {
+        console.log(serialize(root))
+        // 父组件重新渲染时把新的 step 传给子组件
+        app.step = 10
+        return nextTick()
+    }).then(() => {
+        app.addTwice()
+        return nextTick()
+    }).then(() => {
+        console.log(serialize(root))
+        app.show = false
+        return nextTick()
+    }).then(() => {
+        console.log(serialize(root))
+        // prop 的类型错误会给出警告
+        renderer.render(h(Counter, { label: 'B', step: '2' }), createRoot())
+
+        // 组件嵌套在元素中时，卸载外层元素同样会卸载组件：执行 unmounted 钩子，停止渲染用的副作用函数
+        const nested = createRoot()
+        const counter = h(Counter, { label: 'C' })
+        renderer.render(h('div', null, [h('p', null, [counter])]), nested)
+        renderer.render(null, nested)
+        console.log('C 已卸载：', counter.component.isUnmounted, counter.component.scope.active)
+    })
+}
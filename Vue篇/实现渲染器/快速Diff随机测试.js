@@ -0,0 +1,181 @@
+// 快速 Diff 的随机测试：随机生成新旧两组子节点，检查执行 diffChildren 生成的操作之后，得到的一定是新的一组子节点
+// 运行：node 快速Diff随机测试.js [次数] [种子]，失败时打印出种子和用例，使用相同的种子可以重现
+// 检查的性质：
+// 1. 按顺序执行操作之后，真实节点的顺序与新的一组子节点一致
+// 2. key 和 type 相同的节点总是复用旧的真实节点，不会被卸载再重新创建
+// 3. 全部有 key 时，移动次数是最少的，即复用的节点数减去它们旧位置的最长递增子序列的长度
+// 4. 通过渲染器和内存宿主渲染时结果也正确，并且响应式数组可以直接传入
+
+const { diffChildren } = require('./实现快速Diff')
+const { h, Fragment, createRenderer } = require('./实现渲染器')
+const { hostOptions, createRoot, serialize } = require('./实现字符串宿主')
+const { getProxyObj, toRaw } = require('../实现响应系统/对象响应系统的模拟')
+const { createRandom } = require('../实现响应系统/实现伪随机数')
+
+const iterations = Number(process.argv[2]) || 1000
+const { seed, random, randomInt, shuffle } = createRandom(process.argv[3])
+
+// 随机的一组子节点：从 key 池中取出不重复的 key，keyed 为 false 时部分节点没有 key，type 也随机
+function randomChildren(keyed) {
+    const keys = shuffle(Array.from({ length: 30 }, (_, i) => i)).slice(0, randomInt(16))
+    return keys.map(key => ({
+        key: keyed || random() < 0.5 ? key : null,
+        type: keyed ? 'li' : ['li', 'p'][randomInt(2)],
+    }))
+}
+
+// 在旧的一组子节点的基础上随机修改：删除、插入、交换、整体反转
+function mutate(children, keyed) {
+    const next = children.map(child => ({ ...child }))
+    const used = new Set(next.map(child => child.key))
+    const times = randomInt(5)
+    for (let i = 0; i < times; i++) {
+        const action = randomInt(4)
+        if (action === 0 && next.length) {
+            next.splice(randomInt(next.length), 1)
+        } else if (action === 1) {
+            let key = randomInt(60)
+            while (used.has(key)) key = randomInt(60)
+            used.add(key)
+            next.splice(randomInt(next.length + 1), 0, { key: keyed || random() < 0.5 ? key : null, type: 'li' })
+        } else if (action === 2 && next.length > 1) {
+            const a = randomInt(next.length)
+            const b = randomInt(next.length)
+            ;[next[a], next[b]] = [next[b], next[a]]
+        } else if (action === 3) {
+            next.reverse()
+        }
+    }
+    return next
+}
+
+function lisLength(arr) {
+    const tails = []
+    arr.forEach(value => {
+        let i = tails.findIndex(tail => tail >= value)
+        if (i === -1) i = tails.length
+        tails[i] = value
+    })
+    return tails.length
+}
+
+// 模拟宿主：真实节点是 { id }，执行操作并检查性质 1 到 3，返回错误信息
+function checkOps(oldChildren, newChildren, keyed) {
+    let nextId = 0
+    const nodes = oldChildren.map(() => ({ id: nextId++ }))
+    const nodeOf = new Map(oldChildren.map((child, i) => [child, nodes[i]]))
+    const list = nodes.slice()
+    const mounted = new Set()
+    const find = vnode => {
+        const node = nodeOf.get(vnode)
+        if (!node) throw new Error('操作引用的节点还没有真实节点')
+        return node
+    }
+    const insertBefore = (node, anchor) => {
+        const index = list.indexOf(node)
+        if (index > -1) list.splice(index, 1)
+        const anchorIndex = anchor ? list.indexOf(find(anchor)) : list.length
+        if (anchorIndex === -1) throw new Error('锚点不在列表中')
+        list.splice(anchorIndex, 0, node)
+    }
+    let moves = 0
+    const ops = diffChildren(oldChildren, newChildren)
+    // 传入的可能是响应式数组，操作中的节点是原始对象
+    newChildren = toRaw(newChildren)
+    for (const op of ops) {
+        if (op.type === 'patch') {
+            if (op.oldVNode.key !== op.vnode.key || op.oldVNode.type !== op.vnode.type) return 'patch 了不同的节点'
+            nodeOf.set(op.vnode, find(op.oldVNode))
+        } else if (op.type === 'mount') {
+            const node = { id: nextId++ }
+            nodeOf.set(op.vnode, node)
+            mounted.add(op.vnode)
+            insertBefore(node, op.anchor)
+        } else if (op.type === 'move') {
+            moves++
+            insertBefore(find(op.vnode), op.anchor)
+        } else {
+            const index = list.indexOf(find(op.vnode))
+            if (index === -1) return '卸载了不存在的节点'
+            list.splice(index, 1)
+        }
+    }
+    if (list.length !== newChildren.length || list.some((node, i) => node !== nodeOf.get(newChildren[i]))) {
+        return '执行操作之后的顺序与新的一组子节点不一致'
+    }
+    if (keyed) {
+        const oldIndex = new Map(oldChildren.map((child, i) => [child.key, i]))
+        const reused = newChildren.filter(child => oldIndex.has(child.key))
+        if (reused.some(child => mounted.has(child))) return '可以复用的节点被重新创建了'
+        const expectedMoves = reused.length - lisLength(reused.map(child => oldIndex.get(child.key)))
+        if (moves !== expectedMoves) return `移动了 ${moves} 次，最少只需要 ${expectedMoves} 次`
+    }
+    return null
+}
+
+// 通过渲染器渲染，子节点随机包含片段，检查 HTML 以及复用的元素没有被重新创建
+const renderer = createRenderer(hostOptions)
+
+function toVNodes(children) {
+    return children.map(child => child.type === 'p'
+        ? h(Fragment, { key: child.key }, [h('i', null, `${child.key}a`), h('i', null, `${child.key}b`)])
+        : h(child.type, { key: child.key }, String(child.key)))
+}
+
+function toHTML(children) {
+    return children.map(child => child.type === 'p'
+        ? `<i>${child.key}a</i><i>${child.key}b</i>`
+        : `<${child.type}>${child.key}</${child.type}>`).join('')
+}
+
+function checkRenderer(oldChildren, newChildren, keyed) {
+    const root = createRoot()
+    renderer.render(h('div', null, [h('span', null, 'head'), h(Fragment, toVNodes(oldChildren)), h('span', null, 'tail')]), root)
+    const before = new Map()
+    root.children[0].children.forEach(el => {
+        if (el.tag === 'li') before.set(el.children[0].text, el)
+    })
+    renderer.render(h('div', null, [h('span', null, 'head'), h(Fragment, toVNodes(newChildren)), h('span', null, 'tail')]), root)
+    const html = serialize(root)
+    const expected = `<div><span>head</span>${toHTML(newChildren)}<span>tail</span></div>`
+    if (html !== expected) return `渲染结果不正确：${html}`
+    if (keyed) {
+        const lost = root.children[0].children.some(el => el.tag === 'li' && before.has(el.children[0].text) && before.get(el.children[0].text) !== el)
+        if (lost) return '渲染器没有复用相同 key 的元素'
+    }
+    return null
+}
+
+// 响应式数组：对快照和修改之后的响应式数组做 Diff
+function checkReactive() {
+    const list = getProxyObj(randomChildren(true))
+    const snapshot = list.slice()
+    const next = mutate(snapshot, true)
+    list.splice(0, list.length, ...next)
+    return checkOps(snapshot, list, true)
+}
+
+const warn = console.warn
+let failures = 0
+for (let i = 0; i < iterations; i++) {
+    const keyed = random() < 0.7
+    const oldChildren = randomChildren(keyed)
+    const newChildren = mutate(oldChildren, keyed)
+    let message
+    try {
+        message = checkOps(oldChildren, newChildren, keyed) || checkRenderer(oldChildren, newChildren, keyed) || checkReactive()
+    } catch (err) {
+        message = err.stack
+    }
+    if (message) {
+        failures++
+        const format = children => children.map(child => `${child.type}:${child.key}`).join(' ')
+        console.log(`第 ${i + 1} 个用例失败：${message}`)
+        console.log(`  旧：${format(oldChildren)}`)
+        console.log(`  新：${format(newChildren)}`)
+        if (failures >= 5) break
+    }
+}
+console.warn = warn
+console.log(failures ? `失败，种子 ${seed}` : `${iterations} 个用例全部通过，种子 ${seed}`)
+process.exitCode = failures ? 1 : 0
@@ -0,0 +1,227 @@
+// 编译的第三步：代码生成，将转换后的模板 AST 生成渲染函数的代码
+// 渲染函数通过 with (_ctx) 读取状态，模板中的表达式不需要加前缀；_ctx 是 getProxyObj 创建的响应式对象时，读取会被追踪
+// 生成的代码是一个函数体，接收运行时辅助函数 _helpers，返回渲染函数，被提升的节点在渲染函数之外只创建一次：
+//
+// const { h: _h, ... } = _helpers
+// const _hoisted_1 = _h("p", null, "静态")
+// return function render(_ctx) {
+//     with (_ctx) {
+//         return _h("div", null, [_toDisplayString(msg), _hoisted_1])
+//     }
+// }
+
+const { NodeTypes } = require('./实现解析器')
+
+const helpers = ['h', 'Fragment', 'toDisplayString', 'renderList']
+
+function createContext(hoists) {
+    const context = {
+        code: '',
+        indentLevel: 0,
+        // 被提升的节点到变量名的映射
+        hoisted: new Map(hoists.map((node, i) => [node, `_hoisted_${i + 1}`])),
+        push(code) {
+            context.code += code
+        },
+        newline() {
+            context.code += '\n' + '    '.repeat(context.indentLevel)
+        },
+        indent() {
+            context.indentLevel++
+            context.newline()
+        },
+        deindent() {
+            context.indentLevel--
+            context.newline()
+        },
+    }
+    return context
+}
+
+// 生成渲染函数的代码，ast 是转换之后的根节点
+function generate(ast) {
+    const context = createContext(ast.hoists)
+    const { push, newline, indent, deindent } = context
+    push(`const { ${helpers.map(name => `${name}: _${name}`).join(', ')} } = _helpers`)
+    newline()
+    // 被提升的都是元素，直接生成元素本身
+    ast.hoists.forEach(node => {
+        push(`const ${context.hoisted.get(node)} = `)
+        genElement(node, context)
+        newline()
+    })
+    push('return function render(_ctx) {')
+    indent()
+    push('with (_ctx) {')
+    indent()
+    push('return ')
+    genRoot(ast.children, context)
+    deindent()
+    push('}')
+    deindent()
+    push('}')
+    return context.code
+}
+
+// 没有根节点时渲染 null，多个根节点时使用片段
+function genRoot(children, context) {
+    if (!children.length) {
+        context.push('null')
+    } else if (children.length === 1 && children[0].type !== NodeTypes.TEXT && children[0].type !== NodeTypes.INTERPOLATION) {
+        genNode(children[0], context)
+    } else {
+        context.push('_h(_Fragment, null, ')
+        genChildren(children, context)
+        context.push(')')
+    }
+}
+
+function genNode(node, context) {
+    if (context.hoisted.has(node)) {
+        context.push(context.hoisted.get(node))
+        return
+    }
+    switch (node.type) {
+        case NodeTypes.ELEMENT:
+            genElement(node, context)
+            break
+        case NodeTypes.TEXT:
+        case NodeTypes.INTERPOLATION:
+            genText([node], context)
+            break
+        case NodeTypes.IF:
+            genIf(node, context)
+            break
+        case NodeTypes.FOR:
+            genFor(node, context)
+            break
+    }
+}
+
+function genElement(node, context) {
+    context.push(`_h(${JSON.stringify(node.tag)}, `)
+    genProps(node.props, context)
+    if (node.children.length) {
+        context.push(', ')
+        genChildren(node.children, context)
+    }
+    context.push(')')
+}
+
+// 连续的文本和插值拼接成一个字符串表达式
+function genText(nodes, context) {
+    context.push(nodes.map(node => node.type === NodeTypes.TEXT
+        ? JSON.stringify(node.content)
+        : `_toDisplayString(${node.content})`).join(' + '))
+}
+
+const isText = node => node.type === NodeTypes.TEXT || node.type === NodeTypes.INTERPOLATION
+
+// 子节点全部是文本和插值时生成字符串，否则生成数组，连续的文本和插值合并成一个文本节点
+function genChildren(children, context) {
+    if (children.every(isText)) {
+        genText(children, context)
+        return
+    }
+    const groups = []
+    children.forEach(child => {
+        const last = groups[groups.length - 1]
+        if (isText(child) && Array.isArray(last)) {
+            last.push(child)
+        } else {
+            groups.push(isText(child) ? [child] : child)
+        }
+    })
+    context.push('[')
+    context.indent()
+    groups.forEach((group, i) => {
+        if (Array.isArray(group)) {
+            genText(group, context)
+        } else {
+            genNode(group, context)
+        }
+        if (i < groups.length - 1) {
+            context.push(',')
+            context.newline()
+        }
+    })
+    context.deindent()
+    context.push(']')
+}
+
+// 事件名 click 对应的属性名是 onClick
+const toHandlerKey = name => `on${name[0].toUpperCase()}${name.slice(1)}`
+
+// 成员表达式（handler、obj.handler、list[0]）本身就是事件处理函数，其他表达式包装成函数，可以通过 $event 访问事件对象
+const memberExpRE = /^[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*|\[[^\]]+\])*$/
+
+function genProps(props, context) {
+    if (!props.length) {
+        context.push('null')
+        return
+    }
+    // 属性名到值表达式的列表，静态的和绑定的 class、style 可以同时存在，合并成数组交给渲染器规范化
+    const entries = new Map()
+    const add = (key, value) => {
+        if (!entries.has(key)) entries.set(key, [])
+        entries.get(key).push(value)
+    }
+    props.forEach(prop => {
+        if (prop.type === 'Attribute') {
+            // 没有值的属性是布尔属性
+            add(prop.name, prop.value === null ? 'true' : JSON.stringify(prop.value))
+        } else if (prop.name === 'bind') {
+            add(prop.arg, `(${prop.exp})`)
+        } else if (prop.name === 'on') {
+            const exp = prop.exp.trim()
+            add(toHandlerKey(prop.arg), memberExpRE.test(exp) ? exp : `($event) => { ${exp} }`)
+        }
+    })
+    const code = [...entries].map(([key, values]) => {
+        const value = values.length === 1
+            ? values[0]
+            : (key === 'class' || key === 'style') ? `[${values.join(', ')}]` : values[values.length - 1]
+        return `${JSON.stringify(key)}: ${value}`
+    })
+    context.push(`{ ${code.join(', ')} }`)
+}
+
+// 条件分支生成嵌套的三元表达式，没有 v-else 时条件不满足渲染 null
+function genIf(node, context) {
+    node.branches.forEach(branch => {
+        if (branch.condition === null) {
+            genNode(branch.node, context)
+            return
+        }
+        context.push(`(${branch.condition}) ? `)
+        genNode(branch.node, context)
+        context.push(' : ')
+    })
+    if (node.branches[node.branches.length - 1].condition !== null) context.push('null')
+}
+
+// 列表渲染成片段，循环变量是箭头函数的参数，会遮蔽 _ctx 上的同名属性
+function genFor(node, context) {
+    const params = node.index ? `${node.value}, ${node.index}` : node.value
+    context.push(`_h(_Fragment, null, _renderList(${node.source}, (${params}) => `)
+    genNode(node.node, context)
+    context.push('))')
+}
+
+module.exports = {
+    helpers,
+    generate,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { parse } = require('./实现解析器')
+    const { transform } = require('./实现转换')
+
+    console.log(generate(transform(parse(`<div id="app" :class="{ active: ok }">
+    <p v-if="ok" @click="count++">{{ msg }} x {{ count }}</p>
+    <p v-else>hidden</p>
+    <ul><li v-for="item in items" :key="item">{{ item }}</li></ul>
+    <footer>static <b>footer</b></footer>
+</div>`))))
+}
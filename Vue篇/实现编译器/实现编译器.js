@@ -0,0 +1,110 @@
+// 编译器：把模板字符串编译成渲染函数，分为三个阶段
+// 1. 解析（实现解析器.js）：模板字符串 -> 带有源码位置的模板 AST，语法错误抛出带行号和列号的 CompileError
+// 2. 转换（实现转换.js）：处理 v-if / v-else-if / v-else 和 v-for，标记静态子树并收集需要提升的节点
+// 3. 代码生成（实现代码生成.js）：AST -> 渲染函数的代码
+// 渲染函数 render(ctx) 返回 vnode，ctx 是 getProxyObj 创建的响应式对象，在 renderer.mount 中调用时模板读取的数据会被追踪
+
+const { CompileError, parse } = require('./实现解析器')
+const { transform } = require('./实现转换')
+const { helpers, generate } = require('./实现代码生成')
+const { h, Fragment } = require('../实现渲染器/实现渲染器')
+
+// 插值的显示：null 和 undefined 显示为空，对象显示为 JSON
+function toDisplayString(value) {
+    if (value == null) return ''
+    if (typeof value === 'object') return JSON.stringify(value, null, 2)
+    return String(value)
+}
+
+// v-for 的数据源可以是数组、字符串、数字（从 1 开始）、可迭代对象或者普通对象（回调的参数是 value, key, index）
+function renderList(source, renderItem) {
+    if (Array.isArray(source) || typeof source === 'string') {
+        return Array.from(source, (item, i) => renderItem(item, i))
+    }
+    if (typeof source === 'number') {
+        return Array.from({ length: source }, (_, i) => renderItem(i + 1, i))
+    }
+    if (source && typeof source[Symbol.iterator] === 'function') {
+        return Array.from(source, (item, i) => renderItem(item, i))
+    }
+    if (source && typeof source === 'object') {
+        return Object.keys(source).map((key, i) => renderItem(source[key], key, i))
+    }
+    return []
+}
+
+const runtimeHelpers = { h, Fragment, toDisplayString, renderList }
+
+// 编译模板，返回 { ast, code }
+function compileToCode(template) {
+    const ast = transform(parse(template))
+    return { ast, code: generate(ast) }
+}
+
+// 编译模板，返回渲染函数
+function compile(template) {
+    const { code } = compileToCode(template)
+    // 渲染函数使用了 with 语句，必须在非严格模式下创建
+    const createRender = new Function('_helpers', code)
+    return createRender(Object.fromEntries(helpers.map(name => [name, runtimeHelpers[name]])))
+}
+
+module.exports = {
+    CompileError,
+    toDisplayString,
+    renderList,
+    compileToCode,
+    compile,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { getProxyObj } = require('../实现响应系统/对象响应系统的模拟')
+    const { nextTick } = require('../实现响应系统/实现调度器')
+    const { createRenderer } = require('../实现渲染器/实现渲染器')
+    const { hostOptions, createRoot, serialize, dispatchEvent } = require('../实现渲染器/实现字符串宿主')
+
+    const render = compile(`
+<div class="todo" :class="{ empty: !todos.length }">
+    <h1>待办事项</h1>
+    <ul v-if="todos.length">
+        <li v-for="(todo, i) in todos" :key="todo.id" :class="{ done: todo.done }" @click="todo.done = !todo.done">
+            {{ i + 1 }}. {{ todo.text }}<span class="tag">#</span>
+        </li>
+    </ul>
+    <p v-else>没有待办事项</p>
+    <button @click="add">添加</button>
+</div>`)
+
+    const ctx = getProxyObj({
+        todos: [{ id: 1, text: '学习编译器', done: false }],
+        add() {
+            ctx.todos.push({ id: ctx.todos.length + 1, text: `事项 ${ctx.todos.length + 1}`, done: false })
+        },
+    })
+    const renderer = createRenderer(hostOptions)
+    const root = createRoot()
+    renderer.mount(() => render(ctx), root)
+    console.log(serialize(root))
+
+    const div = root.children[0]
+    dispatchEvent(div.children[2], 'click')
+    nextTick(() => {
+        console.log(serialize(root))
+        // v-for 渲染成 Fragment，ul 的第一个子节点是 Fragment 开头的空文本节点，第一个 li 在它后面
+        dispatchEvent(div.children[1].children[1], 'click')
+        return nextTick()
+    }).then(() => {
+        console.log(serialize(root))
+        ctx.todos.splice(0)
+        return nextTick()
+    }).then(() => {
+        console.log(serialize(root))
+    })
+
+    try {
+        compile('<div>\n  <p v-for="item items">{{ item }}</p>\n</div>')
+    } catch (err) {
+        console.log(err.name, err.message)
+    }
+}
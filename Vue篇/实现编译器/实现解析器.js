@@ -0,0 +1,307 @@
+// 编译的第一步：解析器，将模板字符串解析成模板 AST，每个节点都带有源码位置 loc
+// 解析器是一个递归下降的状态机：context.source 是剩余的模板，每消费一段字符就调用 advance 前进，同时更新行号和列号
+
+// 模板 AST 的节点类型，IF 和 FOR 由转换阶段生成
+const NodeTypes = {
+    ROOT: 'Root',
+    ELEMENT: 'Element',
+    TEXT: 'Text',
+    INTERPOLATION: 'Interpolation',
+    COMMENT: 'Comment',
+    IF: 'If',
+    FOR: 'For',
+}
+
+// 没有闭合标签的元素
+const voidTags = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+
+// 编译错误，带有出错位置的行号和列号（都从 1 开始）
+class CompileError extends SyntaxError {
+    constructor(message, loc) {
+        super(`${message}（第 ${loc.start.line} 行，第 ${loc.start.column} 列）`)
+        this.name = 'CompileError'
+        this.loc = loc
+        this.line = loc.start.line
+        this.column = loc.start.column
+    }
+}
+
+// 常见的 HTML 实体
+const entities = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&#39;': '\'', '&nbsp;': ' ' }
+
+function decodeEntities(text) {
+    return text.replace(/&(?:lt|gt|amp|quot|#39|nbsp);/g, m => entities[m])
+}
+
+function createContext(template) {
+    return {
+        template,
+        // 剩余未解析的模板
+        source: template,
+        offset: 0,
+        line: 1,
+        column: 1,
+    }
+}
+
+// 当前位置
+function getCursor(context) {
+    const { offset, line, column } = context
+    return { offset, line, column }
+}
+
+// 从 start 到当前位置的源码范围
+function getSelection(context, start, end = getCursor(context)) {
+    return { start, end, source: context.template.slice(start.offset, end.offset) }
+}
+
+// 消费 n 个字符，遇到换行时行号加一、列号归一
+function advance(context, n) {
+    const consumed = context.source.slice(0, n)
+    for (const c of consumed) {
+        if (c === '\n') {
+            context.line++
+            context.column = 1
+        } else {
+            context.column++
+        }
+    }
+    context.offset += n
+    context.source = context.source.slice(n)
+}
+
+// 消费开头的空白字符
+function advanceSpaces(context) {
+    const match = /^[\t\r\n\f ]+/.exec(context.source)
+    if (match) advance(context, match[0].length)
+}
+
+function error(context, message, start = getCursor(context)) {
+    throw new CompileError(message, getSelection(context, start))
+}
+
+// 解析模板，返回根节点
+function parse(template) {
+    const context = createContext(template)
+    const start = getCursor(context)
+    const children = parseChildren(context, [])
+    return {
+        type: NodeTypes.ROOT,
+        children,
+        loc: getSelection(context, start),
+    }
+}
+
+// 解析一组子节点，ancestors 是祖先元素组成的栈，遇到任意一个祖先的结束标签时结束
+function parseChildren(context, ancestors) {
+    const nodes = []
+    while (context.source) {
+        const s = context.source
+        let node
+        if (s.startsWith('{{')) {
+            node = parseInterpolation(context)
+        } else if (s.startsWith('<!--')) {
+            node = parseComment(context)
+        } else if (s.startsWith('</')) {
+            const match = /^<\/([a-z][^\t\r\n\f />]*)/i.exec(s)
+            if (match && ancestors.some(ancestor => ancestor.tag === match[1])) break
+            error(context, match ? `多余的结束标签 </${match[1]}>` : '无效的结束标签')
+        } else if (/^<[a-z]/i.test(s)) {
+            node = parseElement(context, ancestors)
+        } else {
+            node = parseText(context)
+        }
+        nodes.push(node)
+    }
+    return condenseWhitespace(nodes)
+}
+
+// 处理空白：开头、结尾以及元素之间包含换行的纯空白文本被移除，其他连续的空白压缩成一个空格
+function condenseWhitespace(nodes) {
+    return nodes.filter((node, i) => {
+        if (node.type !== NodeTypes.TEXT) return true
+        if (!/[^\t\r\n\f ]/.test(node.content)) {
+            const prev = nodes[i - 1]
+            const next = nodes[i + 1]
+            if (!prev || !next || (prev.type !== NodeTypes.TEXT && next.type !== NodeTypes.TEXT && /[\r\n]/.test(node.content))) {
+                return false
+            }
+            node.content = ' '
+            return true
+        }
+        node.content = node.content.replace(/[\t\r\n\f ]+/g, ' ')
+        return true
+    })
+}
+
+function parseElement(context, ancestors) {
+    const start = getCursor(context)
+    const element = parseTag(context)
+    if (element.isSelfClosing || voidTags.has(element.tag)) {
+        element.loc = getSelection(context, start)
+        return element
+    }
+    ancestors.push(element)
+    element.children = parseChildren(context, ancestors)
+    ancestors.pop()
+    // 子节点解析完之后，剩余的模板应该以当前元素的结束标签开头
+    if (context.source.startsWith(`</${element.tag}`)) {
+        advance(context, 2 + element.tag.length)
+        advanceSpaces(context)
+        if (!context.source.startsWith('>')) error(context, `结束标签 </${element.tag}> 缺少 >`)
+        advance(context, 1)
+    } else {
+        error(context, `元素 <${element.tag}> 没有闭合`, start)
+    }
+    element.loc = getSelection(context, start)
+    return element
+}
+
+// 解析开始标签，包括标签名和属性
+function parseTag(context) {
+    const start = getCursor(context)
+    const match = /^<([a-z][^\t\r\n\f />]*)/i.exec(context.source)
+    const tag = match[1]
+    advance(context, match[0].length)
+    advanceSpaces(context)
+    const props = parseAttributes(context)
+    let isSelfClosing = false
+    if (context.source.startsWith('/>')) {
+        isSelfClosing = true
+        advance(context, 2)
+    } else if (context.source.startsWith('>')) {
+        advance(context, 1)
+    } else {
+        error(context, `开始标签 <${tag}> 没有结束`, start)
+    }
+    return {
+        type: NodeTypes.ELEMENT,
+        tag,
+        props,
+        children: [],
+        isSelfClosing,
+        loc: null,
+    }
+}
+
+function parseAttributes(context) {
+    const props = []
+    while (context.source && !context.source.startsWith('>') && !context.source.startsWith('/>')) {
+        props.push(parseAttribute(context))
+        advanceSpaces(context)
+    }
+    return props
+}
+
+// 解析一个属性，v-、:、@ 开头的是指令
+function parseAttribute(context) {
+    const start = getCursor(context)
+    const match = /^[^\t\r\n\f />][^\t\r\n\f />=]*/.exec(context.source)
+    const name = match[0]
+    advance(context, name.length)
+    let value = null
+    advanceSpaces(context)
+    if (context.source.startsWith('=')) {
+        advance(context, 1)
+        advanceSpaces(context)
+        const quote = context.source[0]
+        if (quote === '"' || quote === '\'') {
+            const end = context.source.indexOf(quote, 1)
+            if (end === -1) error(context, `属性 ${name} 的值缺少结束的引号`, start)
+            value = decodeEntities(context.source.slice(1, end))
+            advance(context, end + 1)
+        } else {
+            const unquoted = /^[^\t\r\n\f >]+/.exec(context.source)
+            if (!unquoted) error(context, `属性 ${name} 缺少值`, start)
+            value = decodeEntities(unquoted[0])
+            advance(context, unquoted[0].length)
+        }
+    }
+    const loc = getSelection(context, start)
+
+    // :foo 是 v-bind:foo 的简写，@foo 是 v-on:foo 的简写，点号之后是修饰符
+    const directive = /^(?:v-([a-z0-9-]+)(?::(.+))?|:(.+)|@(.+))$/i.exec(name)
+    if (directive) {
+        const dirName = directive[1] || (directive[3] ? 'bind' : 'on')
+        const rawArg = directive[2] || directive[3] || directive[4] || ''
+        const [arg, ...modifiers] = rawArg.split('.')
+        return {
+            type: 'Directive',
+            name: dirName,
+            arg: arg || null,
+            modifiers,
+            exp: value,
+            loc,
+        }
+    }
+    return {
+        type: 'Attribute',
+        name,
+        value,
+        loc,
+    }
+}
+
+function parseInterpolation(context) {
+    const start = getCursor(context)
+    const close = context.source.indexOf('}}', 2)
+    if (close === -1) error(context, '插值缺少结束的 }}')
+    const content = context.source.slice(2, close).trim()
+    if (!content) error(context, '插值中没有表达式')
+    advance(context, close + 2)
+    return {
+        type: NodeTypes.INTERPOLATION,
+        content,
+        loc: getSelection(context, start),
+    }
+}
+
+function parseComment(context) {
+    const start = getCursor(context)
+    const close = context.source.indexOf('-->')
+    if (close === -1) error(context, '注释没有闭合')
+    const content = context.source.slice(4, close)
+    advance(context, close + 3)
+    return {
+        type: NodeTypes.COMMENT,
+        content,
+        loc: getSelection(context, start),
+    }
+}
+
+// 文本一直到下一个 < 或者 {{ 为止
+function parseText(context) {
+    const start = getCursor(context)
+    let end = context.source.length
+    ;['<', '{{'].forEach(token => {
+        const index = context.source.indexOf(token, 1)
+        if (index !== -1 && index < end) end = index
+    })
+    const content = decodeEntities(context.source.slice(0, end))
+    advance(context, end)
+    return {
+        type: NodeTypes.TEXT,
+        content,
+        loc: getSelection(context, start),
+    }
+}
+
+module.exports = {
+    NodeTypes,
+    CompileError,
+    parse,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const ast = parse(`<div id="app">
+    <p :class="{ active: ok }" @click="toggle">Hello {{ name }}!</p>
+</div>`)
+    console.log(JSON.stringify(ast.children[0], (key, value) => key === 'loc' ? `${value.start.line}:${value.start.column}` : value, 2))
+
+    try {
+        parse('<div>\n  <span>\n</div>')
+    } catch (err) {
+        console.log(err.message, err.line, err.column)
+    }
+}
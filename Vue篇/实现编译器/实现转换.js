@@ -0,0 +1,199 @@
+// 编译的第二步：转换，在模板 AST 上处理结构指令并标记静态节点
+// v-if / v-else-if / v-else 相邻的元素合并成一个 IF 节点，v-for 的元素包裹成 FOR 节点，同一个元素上 v-if 的优先级高于 v-for
+// 不包含任何指令和插值的子树是静态的，它们的 vnode 每次渲染都相同，可以提升到渲染函数之外只创建一次
+
+const { NodeTypes, CompileError } = require('./实现解析器')
+
+// 检查表达式的语法，尽早报告错误的位置，而不是等到生成渲染函数时抛出没有位置信息的错误
+function validateExpression(exp, loc, asStatement = false) {
+    try {
+        new Function(asStatement ? exp : `return (${exp})`)
+    } catch (err) {
+        throw new CompileError(`无效的表达式 ${exp}：${err.message}`, loc)
+    }
+}
+
+function findDirective(node, name) {
+    return node.type === NodeTypes.ELEMENT && node.props.find(prop => prop.type === 'Directive' && prop.name === name)
+}
+
+// 取出元素上的指令，之后的流程不再看到它
+function removeDirective(node, dir) {
+    node.props.splice(node.props.indexOf(dir), 1)
+}
+
+// 匹配 item in list、(item, index) in list，也支持 of
+const forRE = /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+)\s*)?\)|([\w$]+))\s+(?:in|of)\s+([\s\S]+?)\s*$/
+
+function parseFor(dir) {
+    const match = dir.exp && forRE.exec(dir.exp)
+    if (!match) throw new CompileError(`无效的 v-for 表达式 ${dir.exp}`, dir.loc)
+    validateExpression(match[4], dir.loc)
+    return {
+        value: match[1] || match[3],
+        index: match[2] || null,
+        source: match[4],
+    }
+}
+
+// 转换一组子节点：移除注释，合并条件分支，处理 v-for，然后递归转换每个子节点
+function transformChildren(children) {
+    const result = []
+    children.forEach(child => {
+        if (child.type === NodeTypes.COMMENT) return
+        const elseDir = findDirective(child, 'else') || findDirective(child, 'else-if')
+        if (elseDir) {
+            // 条件分支之间的空白文本忽略
+            while (result.length && result[result.length - 1].type === NodeTypes.TEXT && !result[result.length - 1].content.trim()) {
+                result.pop()
+            }
+            const prev = result[result.length - 1]
+            if (!prev || prev.type !== NodeTypes.IF || prev.branches[prev.branches.length - 1].condition === null) {
+                throw new CompileError(`v-${elseDir.name} 之前没有相邻的 v-if 或 v-else-if`, elseDir.loc)
+            }
+            removeDirective(child, elseDir)
+            if (elseDir.name === 'else-if') validateExpression(elseDir.exp, elseDir.loc)
+            prev.branches.push({
+                condition: elseDir.name === 'else' ? null : elseDir.exp,
+                node: transformNode(child),
+                loc: child.loc,
+            })
+            prev.loc = { start: prev.loc.start, end: child.loc.end, source: prev.loc.source }
+            return
+        }
+        const ifDir = findDirective(child, 'if')
+        if (ifDir) {
+            removeDirective(child, ifDir)
+            validateExpression(ifDir.exp, ifDir.loc)
+            result.push({
+                type: NodeTypes.IF,
+                branches: [{ condition: ifDir.exp, node: transformNode(child), loc: child.loc }],
+                loc: child.loc,
+            })
+            return
+        }
+        result.push(transformNode(child))
+    })
+    return result
+}
+
+function transformNode(node) {
+    if (node.type !== NodeTypes.ELEMENT) {
+        if (node.type === NodeTypes.INTERPOLATION) validateExpression(node.content, node.loc)
+        return node
+    }
+    const forDir = findDirective(node, 'for')
+    if (forDir) {
+        removeDirective(node, forDir)
+        return {
+            type: NodeTypes.FOR,
+            ...parseFor(forDir),
+            node: transformNode(node),
+            loc: node.loc,
+        }
+    }
+    node.props.forEach(prop => {
+        if (prop.type !== 'Directive') return
+        if (prop.name !== 'bind' && prop.name !== 'on') {
+            throw new CompileError(`不支持的指令 v-${prop.name}`, prop.loc)
+        }
+        if (!prop.arg) throw new CompileError(`v-${prop.name} 缺少参数`, prop.loc)
+        if (prop.modifiers.length) throw new CompileError(`不支持的修饰符 .${prop.modifiers.join('.')}`, prop.loc)
+        if (!prop.exp) throw new CompileError(`v-${prop.name}:${prop.arg} 缺少表达式`, prop.loc)
+        validateExpression(prop.exp, prop.loc, prop.name === 'on')
+    })
+    node.children = transformChildren(node.children)
+    return node
+}
+
+// 标记静态节点：文本是静态的，元素没有指令并且所有子节点都是静态的时候是静态的
+function markStatic(node) {
+    switch (node.type) {
+        case NodeTypes.TEXT:
+            node.isStatic = true
+            break
+        case NodeTypes.ELEMENT: {
+            // 子节点需要全部标记，所以不能在遇到第一个动态子节点时停止
+            const childrenStatic = node.children.map(markStatic).every(Boolean)
+            node.isStatic = childrenStatic && node.props.every(prop => prop.type === 'Attribute')
+            break
+        }
+        case NodeTypes.IF:
+            node.branches.forEach(branch => markStatic(branch.node))
+            node.isStatic = false
+            break
+        case NodeTypes.FOR:
+            markStatic(node.node)
+            node.isStatic = false
+            break
+        default:
+            node.isStatic = false
+    }
+    return node.isStatic
+}
+
+// 收集需要提升的节点：只提升最外层的静态元素，它的子树随之一起提升，单独的文本不值得提升
+function collectHoists(node, hoists) {
+    if (node.type === NodeTypes.ELEMENT && node.isStatic) {
+        node.hoisted = true
+        hoists.push(node)
+        return
+    }
+    if (node.type === NodeTypes.IF) {
+        node.branches.forEach(branch => collectHoists(branch.node, hoists))
+    } else if (node.type === NodeTypes.FOR) {
+        collectHoists(node.node, hoists)
+    } else if (node.children) {
+        node.children.forEach(child => collectHoists(child, hoists))
+    }
+}
+
+// 转换根节点，转换是原地进行的，root.hoists 中是需要提升的节点
+function transform(root) {
+    root.children = transformChildren(root.children)
+    root.children.forEach(markStatic)
+    root.hoists = []
+    root.children.forEach(child => collectHoists(child, root.hoists))
+    return root
+}
+
+module.exports = {
+    transform,
+}
+
+// 直接运行该文件时才执行下面的示例代码
+if (require.main === module) {
+    const { parse } = require('./实现解析器')
+
+    const ast = transform(parse(`<ul>
+    <li v-for="(item, i) in items" :key="item.id">{{ i }}: {{ item.name }}</li>
+    <li v-if="!items.length">空</li>
+    <li v-else><b>共</b> {{ items.length }} 项</li>
+    <li class="footer"><em>静态</em></li>
+</ul>`))
+    const print = (node, indent = '') => {
+        const flag = node.hoisted ? '（提升）' : node.isStatic ? '（静态）' : ''
+        if (node.type === NodeTypes.IF) {
+            console.log(`${indent}If${flag}`)
+            node.branches.forEach(branch => {
+                console.log(`${indent}  ${branch.condition === null ? 'else' : branch.condition}:`)
+                print(branch.node, indent + '    ')
+            })
+        } else if (node.type === NodeTypes.FOR) {
+            console.log(`${indent}For ${node.value}, ${node.index} in ${node.source}`)
+            print(node.node, indent + '  ')
+        } else if (node.type === NodeTypes.ELEMENT) {
+            console.log(`${indent}<${node.tag}>${flag}`)
+            node.children.forEach(child => print(child, indent + '  '))
+        } else {
+            console.log(`${indent}${node.type} ${JSON.stringify(node.content)}${flag}`)
+        }
+    }
+    ast.children.forEach(child => print(child))
+
+    try {
+        transform(parse('<p>a</p>\n<p v-else>b</p>'))
+    } catch (err) {
+        console.log(err.message)
+    }
+}